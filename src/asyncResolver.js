@@ -0,0 +1,251 @@
+const {addToHistory, getLastItemName, startsDependencyPath} = require('./helpers/historyHelper');
+const {runFactoryAsync} = require('./runner');
+const {traceCacheHit, traceResolveStart} = require('./tracer');
+const {findSingletonOwner, getFactoryContext, hasSingleton} = require('./helpers/scopeHelper');
+const {
+  assertNotCyclic,
+  buildDeferredDependency,
+  cacheSingleton,
+  checkInjectedContract,
+  curryFactory,
+  findFactory,
+  getRegisteredFactory,
+  isCachedFactory,
+  isDeferredInjection,
+  trackSingletonPromise,
+  wrapInjectedFactory,
+} = require('./resolver');
+
+/**
+ * The options for resolving an item asynchronously.
+ *
+ * @typedef {Object} AsyncResolveOptions
+ * @property {ResolveLazy} resolveLazy - Resolves lazy dependencies when they are first used.
+ * @property {boolean} [isOptional] - Whether or not to throw an error if the item is not registered.
+ */
+
+/**
+ * Resolves the item as a factory, waiting for any asynchronous dependencies to settle before injecting them.
+ *
+ * @param {ResolveContext} context
+ * @param {string} itemName
+ * @param {{}} resolveArgs
+ * @param {Array<{}>} [resolveHistory] - The trace of every ancestor that was resolved before.
+ * @param {AsyncResolveOptions} options
+ * @returns {Promise<{resolvedFactory: DecoratedFactory, history: Array<{}>}>}
+ */
+async function resolveFactoryAsync(context, itemName, resolveArgs, resolveHistory, options) {
+  if (startsDependencyPath(resolveHistory)) {
+    // Siblings resolve concurrently, so cycles must be found before anything runs or they would wait on each other.
+    assertNoCyclicDependencies(context, itemName, [], new Set());
+  }
+
+  const found = findFactory(context, itemName, resolveArgs, resolveHistory, options.isOptional);
+  if (!found.registeredFactory) {
+    return found;
+  }
+
+  const {registeredFactory, history, itemName: registeredName} = found;
+  const {origin} = context.session;
+
+  // Shared with every resolve of the scope that will cache the item, so a singleton factory only runs once.
+  const {singletonPromises} = findSingletonOwner(context.scope, registeredName, registeredFactory);
+
+  if (singletonPromises[registeredName]) {
+    // Another resolve is already running the singleton factory, so this resolve only waits for it.
+    const waitStartTime = traceResolveStart(origin, registeredName, history);
+    const waitResult = await waitForSingletonAsync(context, registeredName, history, singletonPromises);
+
+    traceCacheHit(origin, registeredName, history, waitStartTime);
+
+    return waitResult;
+  }
+
+  const injectAndRunPromise = injectAndRunFactoryAsync(
+    getFactoryContext(context, registeredName, registeredFactory),
+    registeredFactory,
+    registeredName,
+    resolveArgs,
+    history,
+    options
+  );
+
+  if (!isCachedFactory(registeredFactory)) {
+    return injectAndRunPromise;
+  }
+
+  // Track the singleton before waiting so concurrent resolves wait for it instead of running the factory again.
+  trackSingletonPromise(singletonPromises, registeredName, injectAndRunPromise);
+
+  return waitForSingletonAsync(context, registeredName, history, singletonPromises);
+}
+
+/**
+ * Waits for the singleton that has started resolving and adds it to the resolve.
+ *
+ * @param {ResolveContext} context
+ * @param {string} itemName
+ * @param {Array<{}>} resolveHistory
+ * @param {Object<name, Promise>} singletonPromises
+ * @returns {Promise<{resolvedFactory: DecoratedFactory, history: Array<{}>}>}
+ */
+async function waitForSingletonAsync(context, itemName, resolveHistory, singletonPromises) {
+  let singletonResult;
+  try {
+    singletonResult = await singletonPromises[itemName];
+  } catch (singletonError) {
+    // Only settled values are cached, so allow the next resolve to try again.
+    delete singletonPromises[itemName];
+    throw singletonError;
+  }
+
+  return {
+    resolvedFactory: cacheSingleton(context, itemName, singletonResult.singletonInstance),
+    history: resolveHistory,
+  };
+}
+
+/**
+ * Injects the dependencies into the registered factory.
+ * Singleton factories are also run, since only their settled value can be cached.
+ *
+ * @param {ResolveContext} factoryContext - The context the item's dependencies are resolved in.
+ * @param {DecoratedFactory} registeredFactory
+ * @param {string} itemName
+ * @param {{}} resolveArgs
+ * @param {Array<{}>} resolveHistory
+ * @param {AsyncResolveOptions} asyncOptions
+ * @returns {Promise<{resolvedFactory: DecoratedFactory, history: Array<{}>}|{singletonInstance: *}>}
+ */
+async function injectAndRunFactoryAsync(
+  factoryContext,
+  registeredFactory,
+  itemName,
+  resolveArgs,
+  resolveHistory,
+  asyncOptions
+) {
+  const resolveStartTime = traceResolveStart(factoryContext.session.origin, itemName, resolveHistory);
+
+  const curriedFactory = await dependencyInjectFactoryAsync(
+    factoryContext,
+    registeredFactory,
+    itemName,
+    resolveArgs || {},
+    resolveHistory,
+    asyncOptions
+  );
+
+  const injectedFactory = wrapInjectedFactory(
+    factoryContext,
+    curriedFactory,
+    itemName,
+    resolveHistory,
+    resolveStartTime
+  );
+
+  if (isCachedFactory(registeredFactory)) {
+    return {
+      singletonInstance: await runFactoryAsync(injectedFactory, resolveArgs, itemName, resolveHistory),
+    };
+  }
+
+  return {
+    resolvedFactory: injectedFactory,
+    history: resolveHistory,
+  };
+}
+
+/**
+ * Injects the settled values of the factory's dependencies into it and returns a curried factory.
+ * Dependencies that do not depend on each other are resolved concurrently.
+ *
+ * @param {ResolveContext} context
+ * @param {DecoratedFactory} factory
+ * @param {string} itemName
+ * @param {{}} resolveArgs
+ * @param {Array<{}>} resolveHistory
+ * @param {AsyncResolveOptions} asyncOptions
+ * @returns {Promise<DecoratedFactory>}
+ */
+async function dependencyInjectFactoryAsync(
+  context,
+  factory,
+  itemName,
+  resolveArgs,
+  resolveHistory,
+  asyncOptions
+) {
+  const {$inject} = factory;
+
+  // If inject is empty, we don't need to do anything here.
+  if (!$inject || !$inject.length) {
+    return factory;
+  }
+
+  const dependencies = await Promise.all($inject.map(async (injectItem) => {
+    if (isDeferredInjection(injectItem)) {
+      return buildDeferredDependency(context, injectItem, resolveArgs, resolveHistory, asyncOptions.resolveLazy);
+    }
+
+    assertNotCyclic(context, itemName, injectItem.name, resolveHistory);
+
+    const {resolvedFactory, history} = await resolveFactoryAsync(
+      context,
+      String(injectItem.name),
+      resolveArgs,
+      resolveHistory,
+      {...asyncOptions, isOptional: Boolean(injectItem.isOptional)}
+    );
+
+    if (injectItem.asFactory) {
+      return resolvedFactory;
+    }
+
+    const dependency = await runFactoryAsync(resolvedFactory, resolveArgs, getLastItemName(history), history);
+
+    checkInjectedContract(context, factory, itemName, injectItem, dependency, history);
+
+    return dependency;
+  }));
+
+  return curryFactory(factory, dependencies);
+}
+
+/**
+ * Walks the registered dependencies of the item and throws if any of them loop back onto an ancestor.
+ *
+ * @param {ResolveContext} context
+ * @param {string} itemName
+ * @param {Array<{}>} resolveHistory
+ * @param {Set<string>} checkedNames - The items whose dependencies have already been checked.
+ * @throws {Error} - If a cyclic dependency is found.
+ */
+function assertNoCyclicDependencies(context, itemName, resolveHistory, checkedNames) {
+  const registeredFactory = getRegisteredFactory(context.scope, itemName);
+
+  if (!registeredFactory || checkedNames.has(itemName) || hasSingleton(context, itemName)) {
+    return;
+  }
+
+  const newResolveHistory = addToHistory(resolveHistory, itemName, registeredFactory);
+  const factoryContext = getFactoryContext(context, itemName, registeredFactory);
+
+  const injectItems = (registeredFactory.$$aliasOf) ? [{name: registeredFactory.$$aliasOf}] : registeredFactory.$inject;
+
+  (injectItems || []).forEach((injectItem) => {
+    // Lazy dependencies are only resolved when they are used, so they can not block this resolve.
+    if (isDeferredInjection(injectItem)) {
+      return;
+    }
+
+    assertNotCyclic(factoryContext, itemName, injectItem.name, newResolveHistory);
+    assertNoCyclicDependencies(factoryContext, injectItem.name, newResolveHistory, checkedNames);
+  });
+
+  checkedNames.add(itemName);
+}
+
+module.exports = {
+  resolveFactoryAsync,
+};
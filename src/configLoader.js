@@ -0,0 +1,251 @@
+const lodashIsPlainObject = require('lodash/isPlainObject');
+
+const {EnvError} = require('./errors');
+
+/**
+ * The definition of an environment variable.
+ *
+ * @typedef {Object} EnvVariable
+ * @property {string} name - The item name to register the value as.
+ * @property {string} [type] - One of 'string', 'number', 'boolean' or 'json'. Overrides the coerce option.
+ * @property {boolean} [required] - Whether or not the variable must be set. Defaults to true unless there is a default.
+ * @property {*} [default] - The value to use if the variable is not set.
+ */
+
+/**
+ * The options for registering environment variables.
+ *
+ * @typedef {Object} EnvOptions
+ * @property {boolean|function(string, string): *} [coerce] - True to convert the values to numbers, booleans or JSON
+ *           when they look like them (numbers only when written the way JavaScript writes them, so '0123' stays a
+ *           string), or a function that gets the value and variable name and returns the new value.
+ * @property {Object<string, string>} [env] - The environment variables to read from. Defaults to process.env.
+ */
+
+/**
+ * A config value to register.
+ *
+ * @typedef {Object} ConfigValue
+ * @property {string} itemName
+ * @property {*} value
+ */
+
+/**
+ * The regexp for a string that should be coerced into a number.
+ * @const {RegExp}
+ */
+const NUMBER_REGEXP = /^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+/**
+ * The regexp for a string that should be coerced into JSON.
+ * @const {RegExp}
+ */
+const JSON_REGEXP = /^\s*[[{]/;
+
+/**
+ * The values of each boolean string.
+ * @const {Object<string, boolean>}
+ */
+const BOOLEAN_VALUES = {
+  true: true,
+  false: false,
+};
+
+/**
+ * Converts the string into each type. Throws if the string is not valid for the type.
+ * @const {Object<string, function(string): *>}
+ */
+const TYPE_COERCERS = {
+  string: (value) => {
+    return value;
+  },
+  number: (value) => {
+    if (!NUMBER_REGEXP.test(value.trim())) {
+      throw new Error('is not a number');
+    }
+    return Number(value);
+  },
+  boolean: (value) => {
+    const lowerValue = value.trim().toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, lowerValue)) {
+      throw new Error('is not a boolean');
+    }
+    return BOOLEAN_VALUES[lowerValue];
+  },
+  json: (value) => {
+    try {
+      return JSON.parse(value);
+    } catch (jsonError) {
+      throw new Error('is not valid JSON');
+    }
+  },
+};
+
+/**
+ * Gets every value in the config with its dotted item name.
+ * Nested objects are registered as well as each of their values, so a whole section can be injected.
+ *
+ * @param {Object<string, *>} config
+ * @param {string} [prefix] - The name to put before every item name.
+ * @returns {ConfigValue[]}
+ */
+function flattenConfig(config, prefix) {
+  return Object.keys(config).reduce((configValues, key) => {
+    const itemName = (prefix) ? `${prefix}.${key}` : key;
+    const value = config[key];
+
+    configValues.push({itemName, value});
+
+    if (lodashIsPlainObject(value)) {
+      configValues.push(...flattenConfig(value, itemName));
+    }
+
+    return configValues;
+  }, []);
+}
+
+/**
+ * Reads the environment variables, checking every one of them before returning.
+ *
+ * @param {Object<string, string|EnvVariable>} variables - The item names or definitions by variable name.
+ * @param {EnvOptions} options
+ * @returns {ConfigValue[]}
+ * @throws {Error} - If any of the definitions have no valid item name.
+ * @throws {EnvError} - If any required variables are missing or any values could not be coerced.
+ */
+function readEnvVariables(variables, options) {
+  const env = options.env || process.env; // eslint-disable-line no-process-env
+
+  const definitions = getEnvDefinitions(variables);
+
+  const missingVariables = [];
+  const invalidVariables = [];
+
+  const configValues = Object.keys(definitions).map((variableName) => {
+    const variable = definitions[variableName];
+
+    const hasDefault = Object.prototype.hasOwnProperty.call(variable, 'default');
+    const rawValue = env[variableName];
+
+    if (rawValue === undefined || rawValue === '') {
+      const isRequired = (variable.required === undefined) ? !hasDefault : variable.required;
+      if (isRequired) {
+        missingVariables.push({variableName, itemName: variable.name});
+      }
+
+      return {itemName: variable.name, value: variable.default};
+    }
+
+    try {
+      return {itemName: variable.name, value: coerceEnvValue(rawValue, variableName, variable.type, options.coerce)};
+    } catch (coerceError) {
+      invalidVariables.push({variableName, itemName: variable.name, reason: coerceError.message});
+      return null;
+    }
+  });
+
+  if (missingVariables.length || invalidVariables.length) {
+    throw buildEnvError(missingVariables, invalidVariables);
+  }
+
+  return configValues;
+}
+
+/**
+ * Gets the definition of each variable, checking that every one of them has an item name before any are read.
+ *
+ * @param {Object<string, string|EnvVariable>} variables - The item names or definitions by variable name.
+ * @returns {Object<string, EnvVariable>}
+ * @throws {Error} - If any of the definitions have no valid item name.
+ */
+function getEnvDefinitions(variables) {
+  return Object.keys(variables).reduce((definitions, variableName) => {
+    const variable = (typeof variables[variableName] === 'string')
+      ? {name: variables[variableName]}
+      : variables[variableName];
+
+    if (!variable || typeof variable !== 'object') {
+      throw new Error(
+        `FactoryDI Register Error: The environment variable '${variableName}' is not defined by a string or object.`
+      );
+    } else if (!variable.name || typeof variable.name !== 'string') {
+      throw new Error(`FactoryDI Register Error: The environment variable '${variableName}' has no item name.`);
+    }
+
+    definitions[variableName] = variable;
+    return definitions;
+  }, {});
+}
+
+/**
+ * Converts the environment variable into the given type, or using the coerce option if it has no type.
+ *
+ * @param {string} value
+ * @param {string} variableName
+ * @param {string} [type]
+ * @param {boolean|function(string, string): *} [coerce]
+ * @returns {*}
+ * @throws {Error} - If the value is not valid for the type.
+ */
+function coerceEnvValue(value, variableName, type, coerce) {
+  if (type) {
+    if (!TYPE_COERCERS[type]) {
+      throw new Error(`has the unknown type '${type}'`);
+    }
+    return TYPE_COERCERS[type](value);
+  } else if (typeof coerce === 'function') {
+    return coerce(value, variableName);
+  } else if (!coerce) {
+    return value;
+  }
+
+  // Guess the type from what the value looks like. Only numbers that convert back to the same string are converted, so
+  // values such as zip codes ('0123') or long ids keep their exact text.
+  const trimmedValue = value.trim();
+  if (NUMBER_REGEXP.test(trimmedValue) && String(Number(trimmedValue)) === trimmedValue) {
+    return Number(trimmedValue);
+  } else if (Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, trimmedValue.toLowerCase())) {
+    return BOOLEAN_VALUES[trimmedValue.toLowerCase()];
+  } else if (JSON_REGEXP.test(trimmedValue)) {
+    return TYPE_COERCERS.json(trimmedValue);
+  }
+
+  return value;
+}
+
+/**
+ * Builds the error for the environment variables that are missing or invalid.
+ *
+ * @param {Array<{variableName: string, itemName: string}>} missingVariables
+ * @param {Array<{variableName: string, itemName: string, reason: string}>} invalidVariables
+ * @returns {EnvError}
+ */
+function buildEnvError(missingVariables, invalidVariables) {
+  const problems = [];
+  if (missingVariables.length) {
+    const missingList = missingVariables.map(({variableName, itemName}) => {
+      return `${variableName} (${itemName})`;
+    });
+    problems.push(`Missing required environment variables: ${missingList.join(', ')}.`);
+  }
+  if (invalidVariables.length) {
+    const invalidList = invalidVariables.map(({variableName, itemName, reason}) => {
+      return `${variableName} (${itemName}) ${reason}`;
+    });
+    problems.push(`Invalid environment variables: ${invalidList.join(', ')}.`);
+  }
+
+  return new EnvError(`FactoryDI Env Error: ${problems.join(' ')}`, {}, {
+    missingVariables: missingVariables.map(({variableName}) => {
+      return variableName;
+    }),
+    invalidVariables: invalidVariables.map(({variableName}) => {
+      return variableName;
+    }),
+  });
+}
+
+module.exports = {
+  flattenConfig,
+  readEnvVariables,
+};
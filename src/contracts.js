@@ -0,0 +1,193 @@
+const lodashIsPlainObject = require('lodash/isPlainObject');
+
+const {ContractMismatchError} = require('./errors');
+const {getLastItemName} = require('./helpers/historyHelper');
+const {getScopeFactory} = require('./helpers/scopeHelper');
+
+/**
+ * The shape a value must have.
+ * A type name (such as 'function'), several type names split by '|', or an object with the shape of each member.
+ * Type names ending in '?' also allow undefined and null.
+ *
+ * @typedef {string|Object<string, ContractShape>} ContractShape
+ */
+
+/**
+ * A member of the injected item that does not match the contract.
+ *
+ * @typedef {Object} ContractMismatch
+ * @property {string} member - The dotted path to the member, or an empty string for the item itself.
+ * @property {string} expected - The type names the member should have.
+ * @property {string} actual - The type name the member has.
+ * @property {string} declaredBy - Either '$provides' (of the provider) or '$expects' (of the consumer).
+ */
+
+/**
+ * The type names that can be used in a contract.
+ * @const {string[]}
+ */
+const TYPE_NAMES = ['any', 'array', 'bigint', 'boolean', 'function', 'null', 'number', 'object', 'promise', 'string',
+  'symbol', 'undefined'];
+
+/**
+ * The suffix of a type name that also allows undefined and null.
+ * @const {string}
+ */
+const OPTIONAL_SUFFIX = '?';
+
+/**
+ * The regexp for a type name that starts with a vowel, so it needs 'an' instead of 'a'.
+ * @const {RegExp}
+ */
+const VOWEL_REGEXP = /^[aeiou]/;
+
+/**
+ * Checks that the injected value matches both the $provides of the item it came from and the $expects the consumer
+ * declared for the injection.
+ *
+ * @param {InjectorState} injectorState
+ * @param {DecoratedFactory} consumerFactory
+ * @param {string} consumerName
+ * @param {InjectionRequest} injectItem
+ * @param {*} injectedValue
+ * @param {Array<{}>} history - The resolve history of the injected item.
+ * @throws {ContractMismatchError} - If the value does not match either contract.
+ */
+function assertInjectedContract(injectorState, consumerFactory, consumerName, injectItem, injectedValue, history) {
+  const providerName = getLastItemName(history);
+  const providerFactory = getScopeFactory(injectorState, providerName);
+
+  // Optional items that are not registered are injected as undefined, which is always allowed.
+  if (!providerFactory && injectedValue === undefined) {
+    return;
+  }
+
+  const provided = providerFactory && providerFactory.$provides;
+  const expected = consumerFactory.$expects && consumerFactory.$expects[injectItem.name];
+
+  const mismatches = [
+    ...((provided) ? findMismatches(injectedValue, provided, '', '$provides') : []),
+    ...((expected) ? findMismatches(injectedValue, expected, '', '$expects') : []),
+  ];
+
+  if (!mismatches.length) {
+    return;
+  }
+
+  const explanations = mismatches.map(({member, expected: expectedType, actual, declaredBy}) => {
+    const subject = (member) ? `'${member}'` : 'The item';
+    const owner = (declaredBy === '$provides') ? providerName : consumerName;
+
+    return `${subject} should be ${describeTypes(expectedType)}, but is ${describeType(actual)}`
+      + ` (from the ${declaredBy} of '${owner}').`;
+  });
+
+  throw new ContractMismatchError(
+    `FactoryDI Contract Error: The item '${providerName}' injected into '${consumerName}' does not match its`
+    + ` contract. ${explanations.join(' ')}`,
+    {itemName: providerName, history},
+    {consumerName, providerName, mismatches}
+  );
+}
+
+/**
+ * Finds every member of the value that does not match the shape.
+ *
+ * @param {*} value
+ * @param {ContractShape} shape
+ * @param {string} member - The dotted path to the value.
+ * @param {string} declaredBy
+ * @returns {ContractMismatch[]}
+ * @throws {Error} - If the shape uses an unknown type name.
+ */
+function findMismatches(value, shape, member, declaredBy) {
+  if (typeof shape === 'string') {
+    return (matchesType(value, shape)) ? [] : [{member, expected: shape, actual: getTypeName(value), declaredBy}];
+  } else if (!lodashIsPlainObject(shape)) {
+    throw new Error(`FactoryDI Contract Error: Invalid ${declaredBy} shape found for '${member || 'the item'}'.`);
+  }
+
+  const valueType = getTypeName(value);
+  if (valueType !== 'object' && valueType !== 'function') {
+    return [{member, expected: 'object', actual: valueType, declaredBy}];
+  }
+
+  return Object.keys(shape).reduce((mismatches, memberName) => {
+    const memberPath = (member) ? `${member}.${memberName}` : memberName;
+
+    return [...mismatches, ...findMismatches(value[memberName], shape[memberName], memberPath, declaredBy)];
+  }, []);
+}
+
+/**
+ * Checks if the value has one of the types.
+ *
+ * @param {*} value
+ * @param {string} typeNames - The type names, split by '|'.
+ * @returns {boolean}
+ * @throws {Error} - If any of the type names are unknown.
+ */
+function matchesType(value, typeNames) {
+  const valueType = getTypeName(value);
+
+  return typeNames.split('|').some((rawTypeName) => {
+    const trimmedName = rawTypeName.trim();
+    const isOptional = trimmedName.slice(-1) === OPTIONAL_SUFFIX;
+    const typeName = (isOptional) ? trimmedName.slice(0, -1) : trimmedName;
+
+    if (TYPE_NAMES.indexOf(typeName) === -1) {
+      throw new Error(`FactoryDI Contract Error: Unknown contract type '${typeName}'.`);
+    }
+
+    return typeName === 'any' || typeName === valueType || (isOptional && (value === undefined || value === null));
+  });
+}
+
+/**
+ * Gets the contract type name of the value.
+ * Promises (and other thenables) are their own type, so a factory that returns a Promise does not match 'object'.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function getTypeName(value) {
+  if (value === null) {
+    return 'null';
+  } else if (Array.isArray(value)) {
+    return 'array';
+  } else if (value && typeof value.then === 'function') {
+    return 'promise';
+  }
+
+  return typeof value;
+}
+
+/**
+ * Describes the type names for an error message, such as 'a string or a number'.
+ *
+ * @param {string} typeNames - The type names, split by '|'.
+ * @returns {string}
+ */
+function describeTypes(typeNames) {
+  return typeNames.split('|').map((typeName) => {
+    return describeType(typeName.trim().replace(OPTIONAL_SUFFIX, ''));
+  }).join(' or ');
+}
+
+/**
+ * Describes the type name for an error message, such as 'a function' or 'undefined'.
+ *
+ * @param {string} typeName
+ * @returns {string}
+ */
+function describeType(typeName) {
+  if (typeName === 'undefined' || typeName === 'null' || typeName === 'any') {
+    return typeName;
+  }
+
+  return (VOWEL_REGEXP.test(typeName)) ? `an ${typeName}` : `a ${typeName}`;
+}
+
+module.exports = {
+  assertInjectedContract,
+};
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+
+const {getModuleFactory} = require('./helpers/moduleHelper');
+
+/**
+ * The options for registering every module in a directory.
+ *
+ * @typedef {Object} DirectoryOptions
+ * @property {string|RegExp} [pattern] - The glob (or regexp) the module paths must match, relative to the directory.
+ *           Globs without a '/' only match the file name. Defaults to '*.js', without test modules ('*.test.js',
+ *           '*.spec.js' and anything in a '__tests__' directory).
+ * @property {function(string, string): string} [naming] - Gets the item name from the file name (without its
+ *           extension) and the module path. Modules that export a $name use that instead.
+ * @property {boolean} [recursive] - Whether or not to also look in the directories inside the directory.
+ * @property {string} [registerSourceFile] - The filename path of where registerDirectory() was called. Defaults to
+ *           the register source of the injector, or else the file that called registerDirectory().
+ * @property {boolean} [skipTraceErrors] - Whether or not to ignore errors from missing filename and/or source file.
+ */
+
+/**
+ * A module found in the directory.
+ *
+ * @typedef {Object} DirectoryModule
+ * @property {string} itemName
+ * @property {string} filePath - The absolute path to the module.
+ * @property {DecoratedFactory|*} factoryOrItem - The export of the module.
+ */
+
+/**
+ * The glob used when no pattern is given.
+ * @const {string}
+ */
+const DEFAULT_PATTERN = '*.js';
+
+/**
+ * The regexp for the test modules that the default pattern skips, such as 'catFactory.test.js' or
+ * '__tests__/catFactory.js'.
+ * @const {RegExp}
+ */
+const TEST_MODULE_REGEXP = /(?:^|\/)__tests__\/|\.(?:test|spec)\.[cm]?js$/;
+
+/**
+ * The regexp for the 'factory' suffix that is removed from file names to get the item name.
+ * @const {RegExp}
+ */
+const FACTORY_SUFFIX_REGEXP = /[-_.]?factory$/i;
+
+/**
+ * The regexp for the separators that are removed from file names to get a camelCase item name.
+ * @const {RegExp}
+ */
+const NAME_SEPARATOR_REGEXP = /[-_.]+([a-zA-Z0-9])/g;
+
+/**
+ * The regexp for the characters that have a special meaning in a regexp.
+ * @const {RegExp}
+ */
+const REGEXP_SPECIAL_CHARACTERS = /[\\^$.*+?()|[\]{}]/g;
+
+/**
+ * The regexp for each part of a glob: the wildcards, a '{a,b}' group, or the plain text between them.
+ * @const {RegExp}
+ */
+const GLOB_TOKEN_REGEXP = /\*\*\/|\*\*|\*|\?|\{[^}]*\}|[^*?{]+|\{/g;
+
+/**
+ * The regexp source for each glob wildcard.
+ * @const {Object<string, string>}
+ */
+const GLOB_TOKENS = {
+  '**/': '(?:.*/)?',
+  '**': '.*',
+  '*': '[^/]*',
+  '?': '[^/]',
+};
+
+/**
+ * Requires every module in the directory that matches the pattern.
+ *
+ * @param {string} directory
+ * @param {DirectoryOptions} options
+ * @returns {DirectoryModule[]}
+ * @throws {Error} - If the directory can not be read or a module throws when it is required.
+ */
+function loadDirectoryModules(directory, options) {
+  const patternRegexp = buildPatternRegexp(options.pattern || DEFAULT_PATTERN);
+  const getItemName = options.naming || getDefaultItemName;
+
+  return findModuleFiles(directory, '', Boolean(options.recursive)).filter((relativePath) => {
+    // Test modules usually sit next to the factories, so they are skipped unless a pattern asks for them.
+    if (!options.pattern && TEST_MODULE_REGEXP.test(relativePath)) {
+      return false;
+    }
+
+    // Search instead of test, since test() on a global regexp carries on from the last match.
+    return relativePath.search(patternRegexp) !== -1;
+  }).map((relativePath) => {
+    const filePath = path.join(directory, relativePath);
+    const factoryOrItem = getModuleFactory(requireModule(filePath));
+
+    const fileName = path.basename(relativePath, path.extname(relativePath));
+    const itemName = (factoryOrItem && factoryOrItem.$name) || getItemName(fileName, filePath);
+
+    return {itemName, filePath, factoryOrItem};
+  });
+}
+
+/**
+ * Requires the module, including ES modules on versions of NodeJS that can require them.
+ *
+ * @param {string} filePath
+ * @returns {*} - The exports of the module, or the namespace object of an ES module.
+ * @throws {Error} - If the module is an ES module that can not be required, or if the module throws.
+ */
+function requireModule(filePath) {
+  try {
+    return require(filePath); // eslint-disable-line global-require
+  } catch (requireError) {
+    if (requireError && requireError.code === 'ERR_REQUIRE_ESM') {
+      throw new Error(
+        `FactoryDI Register Error: The ES module '${filePath}' can not be registered from a directory because this`
+        + ' version of NodeJS can not require ES modules. Import it and use factoryDi.register() instead.'
+      );
+    }
+
+    throw requireError;
+  }
+}
+
+/**
+ * Finds every file in the directory, using posix separators so the paths can be matched against the pattern.
+ *
+ * @param {string} directory
+ * @param {string} relativeDirectory - The path of the directory being read, relative to the first directory.
+ * @param {boolean} recursive
+ * @returns {string[]} - The file paths relative to the first directory, sorted so they are always in the same order.
+ */
+function findModuleFiles(directory, relativeDirectory, recursive) {
+  // Registering is synchronous, so the directory must be read synchronously as well.
+  const entries = fs.readdirSync( // eslint-disable-line no-sync
+    path.join(directory, relativeDirectory),
+    {withFileTypes: true}
+  );
+
+  const filePaths = [];
+  entries.forEach((entry) => {
+    const relativePath = (relativeDirectory) ? `${relativeDirectory}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory()) {
+      if (recursive) {
+        filePaths.push(...findModuleFiles(directory, relativePath, recursive));
+      }
+    } else if (entry.isFile()) {
+      filePaths.push(relativePath);
+    }
+  });
+
+  return filePaths.sort();
+}
+
+/**
+ * Builds the regexp for the glob pattern.
+ * Supports '*', '**', '?' and '{a,b}'. Globs without a '/' are matched against the file name only.
+ *
+ * @param {string|RegExp} pattern
+ * @returns {RegExp}
+ */
+function buildPatternRegexp(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+
+  const source = pattern.replace(GLOB_TOKEN_REGEXP, (token) => {
+    if (GLOB_TOKENS[token]) {
+      return GLOB_TOKENS[token];
+    } else if (token[0] === '{') {
+      return `(?:${token.slice(1, -1).split(',').map(escapeRegexp).join('|')})`;
+    }
+
+    return escapeRegexp(token);
+  });
+
+  const directoryPrefix = (pattern.indexOf('/') === -1) ? '(?:.*/)?' : '';
+
+  return new RegExp(`^${directoryPrefix}${source}$`);
+}
+
+/**
+ * Escapes the characters in the text that have a special meaning in a regexp.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegexp(text) {
+  return text.replace(REGEXP_SPECIAL_CHARACTERS, '\\$&');
+}
+
+/**
+ * Gets the item name from the file name by removing any 'factory' suffix and converting it to camelCase.
+ * For example, 'catFactory' and 'cat-factory' become 'cat', and 'user-repository' becomes 'userRepository'.
+ *
+ * @param {string} fileName - The name of the file without its extension.
+ * @returns {string}
+ */
+function getDefaultItemName(fileName) {
+  const baseName = fileName.replace(FACTORY_SUFFIX_REGEXP, '') || fileName;
+
+  return baseName.replace(NAME_SEPARATOR_REGEXP, (match, firstCharacter) => {
+    return firstCharacter.toUpperCase();
+  });
+}
+
+/**
+ * Finds the modules whose item names are used by another module or by an already registered item.
+ *
+ * @param {DirectoryModule[]} directoryModules
+ * @param {Object<name, DecoratedFactory>} registered - Every item registered in the scope and its parent scopes.
+ * @returns {string[]} - A description of each collision.
+ */
+function findNameCollisions(directoryModules, registered) {
+  const pathsByName = {};
+  directoryModules.forEach(({itemName, filePath}) => {
+    pathsByName[itemName] = [...(pathsByName[itemName] || []), filePath];
+  });
+
+  return Object.keys(pathsByName).reduce((collisions, itemName) => {
+    const filePaths = pathsByName[itemName];
+
+    if (filePaths.length > 1) {
+      collisions.push(`'${itemName}' is used by ${filePaths.join(', ')}`);
+    } else if (registered[itemName]) {
+      collisions.push(`'${itemName}' from ${filePaths[0]} is already registered`);
+    }
+
+    return collisions;
+  }, []);
+}
+
+module.exports = {
+  findNameCollisions,
+  loadDirectoryModules,
+};
@@ -0,0 +1,184 @@
+const {DisposeError} = require('./errors');
+
+/**
+ * Disposes the given singletons, running every disposer even if some of them throw.
+ * Dependents are disposed before their dependencies.
+ * Disposers that return a Promise can not be waited for, so they are reported as failures that should use
+ * disposeSingletonsAsync() instead.
+ *
+ * @param {Object<name, DecoratedFactory>} registered
+ * @param {SingletonStore} singletons
+ * @throws {DisposeError} - If any of the disposers threw or returned a Promise.
+ */
+function disposeSingletons(registered, singletons) {
+  const disposeErrors = [];
+
+  getDisposeOrder(registered, singletons).forEach((itemName) => {
+    try {
+      assertNotThenable(runDisposer(registered[itemName], singletons.get(itemName)), itemName);
+    } catch (disposeError) {
+      disposeErrors.push({itemName, error: disposeError});
+    }
+  });
+
+  if (disposeErrors.length) {
+    throw buildDisposeError(disposeErrors);
+  }
+}
+
+/**
+ * Disposes the given singletons, waiting for each disposer to finish before disposing the next item.
+ * Dependents are disposed before their dependencies.
+ *
+ * @param {Object<name, DecoratedFactory>} registered
+ * @param {SingletonStore} singletons
+ * @returns {Promise}
+ * @throws {DisposeError} - If any of the disposers threw or rejected.
+ */
+async function disposeSingletonsAsync(registered, singletons) {
+  const disposeErrors = [];
+
+  for (const itemName of getDisposeOrder(registered, singletons)) {
+    try {
+      await runDisposer(registered[itemName], singletons.get(itemName));
+    } catch (disposeError) {
+      disposeErrors.push({itemName, error: disposeError});
+    }
+  }
+
+  if (disposeErrors.length) {
+    throw buildDisposeError(disposeErrors);
+  }
+}
+
+/**
+ * Runs the disposer for the singleton instance.
+ * The factory's $dispose decorator is used first, otherwise the instance's own $dispose method is used.
+ *
+ * @param {DecoratedFactory} [factory]
+ * @param {*} instance
+ * @returns {*} - The result of the disposer, which may be a Promise.
+ */
+function runDisposer(factory, instance) {
+  if (factory && typeof factory.$dispose === 'function') {
+    return factory.$dispose(instance);
+  } else if (instance && typeof instance.$dispose === 'function') {
+    return instance.$dispose();
+  }
+
+  return undefined;
+}
+
+/**
+ * Throws if the disposer returned a Promise (or any thenable), since a sync dispose can not wait for it.
+ * The Promise is given a rejection handler, so a rejection is not left unhandled.
+ *
+ * @param {*} disposeResult
+ * @param {string} itemName - The item that was disposed.
+ * @throws {DisposeError} - If the result is a thenable.
+ */
+function assertNotThenable(disposeResult, itemName) {
+  if (!disposeResult || typeof disposeResult.then !== 'function') {
+    return;
+  }
+
+  const thenableError = new DisposeError(
+    'The disposer returned a Promise, so use disposeAsync() to wait for it',
+    {itemName}
+  );
+
+  disposeResult.then(undefined, (rejectError) => {
+    thenableError.cause = rejectError;
+  });
+
+  throw thenableError;
+}
+
+/**
+ * Gets the names of the singletons in the order they should be disposed (dependents first).
+ *
+ * @param {Object<name, DecoratedFactory>} registered
+ * @param {SingletonStore} singletons
+ * @returns {string[]}
+ */
+function getDisposeOrder(registered, singletons) {
+  const resolveOrder = [];
+  const visitedNames = new Set();
+
+  singletons.names().forEach((itemName) => {
+    addToResolveOrder(registered, singletons, itemName, visitedNames, resolveOrder);
+  });
+
+  return resolveOrder.reverse();
+}
+
+/**
+ * Adds the item to the resolve order after all of its singleton dependencies.
+ *
+ * @param {Object<name, DecoratedFactory>} registered
+ * @param {SingletonStore} singletons
+ * @param {string} itemName
+ * @param {Set<string>} visitedNames
+ * @param {string[]} resolveOrder
+ */
+function addToResolveOrder(registered, singletons, itemName, visitedNames, resolveOrder) {
+  if (visitedNames.has(itemName)) {
+    return;
+  }
+  visitedNames.add(itemName);
+
+  const factory = registered[itemName];
+  const injectItems = (factory && Array.isArray(factory.$inject)) ? factory.$inject : [];
+
+  injectItems.forEach((injectItem) => {
+    if (injectItem.isPlaceholder) {
+      return;
+    }
+
+    const dependencyName = getAliasTarget(registered, injectItem.name);
+    if (singletons.has(dependencyName)) {
+      addToResolveOrder(registered, singletons, dependencyName, visitedNames, resolveOrder);
+    }
+  });
+
+  resolveOrder.push(itemName);
+}
+
+/**
+ * Follows the alias chain to get the name of the item that is actually resolved.
+ *
+ * @param {Object<name, DecoratedFactory>} registered
+ * @param {string} itemName
+ * @returns {string}
+ */
+function getAliasTarget(registered, itemName) {
+  const followedNames = new Set();
+
+  let targetName = itemName;
+  while (registered[targetName] && registered[targetName].$$aliasOf && !followedNames.has(targetName)) {
+    followedNames.add(targetName);
+    targetName = registered[targetName].$$aliasOf;
+  }
+
+  return targetName;
+}
+
+/**
+ * Builds a single error that holds all of the errors thrown while disposing.
+ *
+ * @param {Array<{itemName: string, error: Error}>} disposeErrors
+ * @returns {DisposeError}
+ */
+function buildDisposeError(disposeErrors) {
+  const failures = disposeErrors.map(({itemName, error}) => {
+    return `'${itemName}' (${(error && error.message) || error})`;
+  });
+
+  return new DisposeError(`FactoryDI Dispose Error: Could not dispose ${failures.join(', ')}.`, {}, disposeErrors);
+}
+
+module.exports = {
+  disposeSingletons,
+  disposeSingletonsAsync,
+  getAliasTarget,
+};
@@ -0,0 +1,236 @@
+const {attachResolveHistory, formatError} = require('./helpers/errorHelper');
+
+/**
+ * The stable codes of the injector errors.
+ * @const {Object<string, string>}
+ */
+const ERROR_CODES = {
+  NOT_REGISTERED: 'FACTORY_DI_NOT_REGISTERED',
+  CYCLIC_DEPENDENCY: 'FACTORY_DI_CYCLIC_DEPENDENCY',
+  MISSING_RESOLVE_ARG: 'FACTORY_DI_MISSING_RESOLVE_ARG',
+  INVALID_INJECT: 'FACTORY_DI_INVALID_INJECT',
+  FACTORY_THREW: 'FACTORY_DI_FACTORY_THREW',
+  CONTRACT_MISMATCH: 'FACTORY_DI_CONTRACT_MISMATCH',
+  SINGLETON_PENDING: 'FACTORY_DI_SINGLETON_PENDING',
+  DISPOSE_FAILED: 'FACTORY_DI_DISPOSE_FAILED',
+  VALIDATION_FAILED: 'FACTORY_DI_VALIDATION_FAILED',
+  INVALID_ENV: 'FACTORY_DI_INVALID_ENV',
+};
+
+/**
+ * The structured details of an injector error.
+ *
+ * @typedef {Object} ErrorDetails
+ * @property {string} [itemName] - The item the error is about. Defaults to the last item in the history.
+ * @property {Array<{}>} [history] - The resolve history, ending with the item that failed.
+ * @property {*} [cause] - The error that caused this error.
+ * @property {string[]} [suggestions] - The names that could have been meant, best first.
+ */
+
+/**
+ * The base class of the injector errors.
+ * The stack shows the resolve path before the code stack, which is also kept in the codeStack property.
+ */
+class FactoryDiError extends Error {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails} [details]
+   * @param {string} [code]
+   */
+  constructor(message, details, code) {
+    super(message);
+
+    this.name = this.constructor.name;
+
+    // Leave the error constructors out of the code stack.
+    Error.captureStackTrace(this, this.constructor);
+
+    const {itemName, history, cause, suggestions} = details || {};
+
+    this.code = code || null;
+    this.itemName = itemName || null;
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
+    if (suggestions) {
+      this.suggestions = suggestions;
+    }
+
+    attachResolveHistory(this, history || []);
+  }
+}
+
+/**
+ * Thrown when resolving an item that has not been registered.
+ */
+class NotRegisteredError extends FactoryDiError {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails} [details]
+   */
+  constructor(message, details) {
+    super(message, details, ERROR_CODES.NOT_REGISTERED);
+  }
+}
+
+/**
+ * Thrown when an item depends on itself through its dependencies.
+ */
+class CyclicDependencyError extends FactoryDiError {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails} [details]
+   */
+  constructor(message, details) {
+    super(message, details, ERROR_CODES.CYCLIC_DEPENDENCY);
+  }
+}
+
+/**
+ * Thrown when a required placeholder argument is not given in the resolve arguments.
+ */
+class MissingResolveArgError extends FactoryDiError {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails} [details]
+   * @param {string} [argName] - The name of the missing placeholder argument.
+   */
+  constructor(message, details, argName) {
+    super(message, details, ERROR_CODES.MISSING_RESOLVE_ARG);
+
+    this.argName = argName || null;
+  }
+}
+
+/**
+ * Thrown when the $inject, $placeholders or $lazy of a factory (or the factory's arguments) are not valid.
+ */
+class InvalidInjectError extends FactoryDiError {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails} [details]
+   */
+  constructor(message, details) {
+    super(message, details, ERROR_CODES.INVALID_INJECT);
+  }
+}
+
+/**
+ * Thrown when a factory throws (or rejects). The thrown error is kept as the cause.
+ */
+class FactoryThrewError extends FactoryDiError {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails} [details]
+   */
+  constructor(message, details) {
+    super(message, details, ERROR_CODES.FACTORY_THREW);
+  }
+}
+
+/**
+ * Thrown when an injected item does not match the $provides of its factory or the $expects of the item it is
+ * injected into.
+ */
+class ContractMismatchError extends FactoryDiError {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails} [details]
+   * @param {{consumerName: string, providerName: string, mismatches: ContractMismatch[]}} [contract]
+   */
+  constructor(message, details, contract) {
+    super(message, details, ERROR_CODES.CONTRACT_MISMATCH);
+
+    const {consumerName, providerName, mismatches} = contract || {};
+
+    this.consumerName = consumerName || null;
+    this.providerName = providerName || null;
+    this.mismatches = mismatches || [];
+  }
+}
+
+/**
+ * Thrown when resolving a singleton synchronously while resolveAsync() is still running its factory.
+ */
+class SingletonPendingError extends FactoryDiError {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails} [details]
+   */
+  constructor(message, details) {
+    super(message, details, ERROR_CODES.SINGLETON_PENDING);
+  }
+}
+
+/**
+ * Thrown when disposers throw, reject or (for a sync dispose) return a Promise.
+ * Every disposer is still run, so the errors of all of the failed items are kept in the errors property.
+ */
+class DisposeError extends FactoryDiError {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails} [details]
+   * @param {Array<{itemName: string, error: *}>} [disposeErrors] - The errors thrown by the disposers.
+   */
+  constructor(message, details, disposeErrors) {
+    super(message, details, ERROR_CODES.DISPOSE_FAILED);
+
+    this.errors = (disposeErrors || []).map(({error}) => {
+      return error;
+    });
+    this.itemNames = (disposeErrors || []).map(({itemName}) => {
+      return itemName;
+    });
+  }
+}
+
+/**
+ * Thrown by validate() with the throwIfInvalid option when the dependency graph has problems.
+ */
+class ValidationError extends FactoryDiError {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails} [details]
+   * @param {ValidationReport} [report] - The report of every problem found.
+   */
+  constructor(message, details, report) {
+    super(message, details, ERROR_CODES.VALIDATION_FAILED);
+
+    this.report = report || null;
+  }
+}
+
+/**
+ * Thrown by registerEnv() when required environment variables are missing or values can not be converted.
+ */
+class EnvError extends FactoryDiError {
+  /**
+   * @param {string} message
+   * @param {ErrorDetails} [details]
+   * @param {{missingVariables: string[], invalidVariables: string[]}} [variables]
+   */
+  constructor(message, details, variables) {
+    super(message, details, ERROR_CODES.INVALID_ENV);
+
+    const {missingVariables, invalidVariables} = variables || {};
+
+    this.missingVariables = missingVariables || [];
+    this.invalidVariables = invalidVariables || [];
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  ContractMismatchError,
+  CyclicDependencyError,
+  DisposeError,
+  EnvError,
+  FactoryDiError,
+  FactoryThrewError,
+  InvalidInjectError,
+  MissingResolveArgError,
+  NotRegisteredError,
+  SingletonPendingError,
+  ValidationError,
+  formatError,
+};
@@ -0,0 +1,14 @@
+/**
+ * The cat factory.
+ *
+ * @returns {{speak: (function(): string)}}
+ */
+export default function catFactory() {
+  return {
+    speak: () => {
+      return 'meow';
+    },
+  };
+}
+
+export const $filename = import.meta.url;
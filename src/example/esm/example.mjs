@@ -0,0 +1,20 @@
+/* eslint-disable no-console */
+
+import path from 'path';
+import {fileURLToPath} from 'url';
+
+import factoryDiFactory from '../../index.mjs';
+
+import * as catModule from './catFactory.mjs';
+
+const factoryDi = factoryDiFactory();
+
+factoryDi.setRegisterSource(import.meta.url);
+
+// Namespace objects register their default export, with their named $ exports as its decorators.
+factoryDi.register('cat', catModule);
+
+// Directories of ES modules can be registered on versions of NodeJS that can require them.
+factoryDi.registerDirectory(path.dirname(fileURLToPath(import.meta.url)), {pattern: 'trainerFactory.mjs'});
+
+console.log('The ES module trainer shows off its skills:', factoryDi.resolve('trainer').speak('cat'));
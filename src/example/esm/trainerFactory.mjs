@@ -0,0 +1,17 @@
+/**
+ * The trainer factory.
+ *
+ * @param {{speak: function}} cat
+ * @returns {{speak: function}}
+ */
+export default function trainerFactory(cat) {
+  return {
+    speak: (animal) => {
+      return (animal === 'cat') ? cat.speak() : 'We don\'t have one of those...';
+    },
+  };
+}
+
+export const $inject = ['cat'];
+export const $singleton = true;
+export const $filename = import.meta.url;
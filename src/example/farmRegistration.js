@@ -0,0 +1,45 @@
+const catFactory = require('./catFactory');
+
+/**
+ * The pig factory.
+ *
+ * @returns {{speak: (function(): string)}}
+ */
+function pigFactory() {
+  return {
+    speak: () => {
+      return 'oink';
+    },
+  };
+}
+
+/**
+ * The farmer factory.
+ *
+ * @param {{drive: function}} tractor
+ * @returns {{work: (function(): string)}}
+ */
+function farmerFactory(tractor) {
+  return {
+    work: () => {
+      return tractor.drive();
+    },
+  };
+}
+
+/**
+ * Registers the farm items, letting the injector find where each one was registered (and defined) from the call stack.
+ *
+ * @param {{}} factoryDi
+ */
+function registerFarm(factoryDi) {
+  factoryDi.setAutoRegisterSource(true);
+
+  factoryDi.register('cat', catFactory);
+  factoryDi.register('pig', pigFactory);
+  factoryDi.register('farmer', farmerFactory);
+}
+
+module.exports = registerFarm;
+
+module.exports.$filename = __filename;
@@ -0,0 +1,276 @@
+const {getRegisteredFactory} = require('./resolver');
+const {TAG_PREFIX} = require('./injector');
+const {getAllRegistered} = require('./helpers/scopeHelper');
+
+/**
+ * An item in the dependency graph.
+ *
+ * @typedef {Object} GraphNode
+ * @property {string} name
+ * @property {boolean} isRegistered - Whether or not the item has been registered (false for missing dependencies).
+ * @property {boolean} isTag - Whether or not the node is a '#tag' that injects every item with the tag.
+ * @property {boolean} isSingleton
+ * @property {boolean} isScoped
+ * @property {?string} aliasOf - The name of the item this alias resolves to.
+ * @property {?string} filename - The path to the factory.
+ * @property {?string} registerSourceFile - The path to where the factory was registered.
+ * @property {string[]} tags
+ * @property {Array<{name: string, isOptional: boolean}>} placeholders - The arguments given when resolving the item.
+ */
+
+/**
+ * A dependency between two items in the dependency graph.
+ *
+ * @typedef {Object} GraphEdge
+ * @property {string} from - The name of the item that injects the dependency.
+ * @property {string} to - The name of the dependency.
+ * @property {boolean} isOptional
+ * @property {boolean} isLazy
+ * @property {boolean} asFactory
+ */
+
+/**
+ * The dependency graph of the injector.
+ *
+ * @typedef {Object} DependencyGraph
+ * @property {GraphNode[]} nodes
+ * @property {GraphEdge[]} edges
+ */
+
+/**
+ * The serializers for each graph export format.
+ * @const {Object<string, function(DependencyGraph): string>}
+ */
+const GRAPH_SERIALIZERS = {
+  dot: serializeGraphToDot,
+  mermaid: serializeGraphToMermaid,
+  json: serializeGraphToJson,
+};
+
+/**
+ * Builds the dependency graph of every registered item, including any missing dependencies and '#tag' injections.
+ *
+ * @param {InjectorState} injectorState - The state of the scope, whose parent scopes' items are included.
+ * @returns {DependencyGraph}
+ */
+function buildGraph(injectorState) {
+  const nodes = [];
+  const edges = [];
+
+  const pendingNames = Object.keys(getAllRegistered(injectorState));
+  const visitedNames = new Set();
+
+  while (pendingNames.length) {
+    const itemName = pendingNames.shift();
+
+    if (!visitedNames.has(itemName)) {
+      visitedNames.add(itemName);
+
+      const factory = getRegisteredFactory(injectorState, itemName);
+
+      nodes.push(buildGraphNode(itemName, factory));
+
+      getDependencyRequests(factory).forEach((injectItem) => {
+        edges.push({
+          from: itemName,
+          to: injectItem.name,
+          isOptional: Boolean(injectItem.isOptional),
+          isLazy: Boolean(injectItem.isLazy),
+          asFactory: Boolean(injectItem.asFactory),
+        });
+
+        pendingNames.push(injectItem.name);
+      });
+    }
+  }
+
+  return {nodes, edges};
+}
+
+/**
+ * Builds the graph node for the item.
+ *
+ * @param {string} itemName
+ * @param {?DecoratedFactory} factory - Null if the item is not registered.
+ * @returns {GraphNode}
+ */
+function buildGraphNode(itemName, factory) {
+  const safeFactory = factory || {};
+
+  const placeholders = (safeFactory.$inject || []).filter((injectItem) => {
+    return injectItem.isPlaceholder;
+  }).map(({name, isOptional}) => {
+    return {name, isOptional: Boolean(isOptional)};
+  });
+
+  return {
+    name: itemName,
+    isRegistered: Boolean(factory),
+    isTag: (itemName.indexOf(TAG_PREFIX) === 0),
+    isSingleton: Boolean(safeFactory.$singleton),
+    isScoped: Boolean(safeFactory.$scoped),
+    aliasOf: safeFactory.$$aliasOf || null,
+    filename: safeFactory.$filename || null,
+    registerSourceFile: safeFactory.$$registerSourceFile || null,
+    tags: safeFactory.$tags || [],
+    placeholders,
+  };
+}
+
+/**
+ * Gets the items the factory depends on. Aliases depend on the item they point to.
+ *
+ * @param {?DecoratedFactory} factory
+ * @returns {InjectionRequest[]}
+ */
+function getDependencyRequests(factory) {
+  if (!factory) {
+    return [];
+  } else if (factory.$$aliasOf) {
+    return [{name: factory.$$aliasOf}];
+  }
+
+  return (factory.$inject || []).filter((injectItem) => {
+    return !injectItem.isPlaceholder;
+  });
+}
+
+/**
+ * Gets the name of the item and every item that depends on it, directly or through other items.
+ *
+ * @param {DependencyGraph} graph
+ * @param {string} itemName
+ * @returns {string[]} - The item name first, followed by its dependents.
+ */
+function getDependentNames(graph, itemName) {
+  const dependentNames = [itemName];
+
+  for (let nameIndex = 0; nameIndex < dependentNames.length; nameIndex += 1) {
+    const dependencyName = dependentNames[nameIndex];
+
+    graph.edges.forEach((edge) => {
+      if (edge.to === dependencyName && dependentNames.indexOf(edge.from) === -1) {
+        dependentNames.push(edge.from);
+      }
+    });
+  }
+
+  return dependentNames;
+}
+
+/**
+ * Serializes the dependency graph into the given format.
+ *
+ * @param {DependencyGraph} graph
+ * @param {string} format - One of 'dot', 'mermaid' or 'json'.
+ * @returns {string}
+ * @throws {Error} - If the format is not supported.
+ */
+function serializeGraph(graph, format) {
+  const serializer = GRAPH_SERIALIZERS[format];
+
+  if (!serializer) {
+    throw new Error(
+      `FactoryDI Graph Error: Unknown graph format '${format}'.`
+      + ` Please use one of: ${Object.keys(GRAPH_SERIALIZERS).join(', ')}.`
+    );
+  }
+
+  return serializer(graph);
+}
+
+/**
+ * Serializes the dependency graph into the Graphviz DOT format.
+ * Missing items are red, lazy dependencies are dashed and optional dependencies are dotted.
+ *
+ * @param {DependencyGraph} graph
+ * @returns {string}
+ */
+function serializeGraphToDot(graph) {
+  const quote = (value) => {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  };
+
+  const nodeLines = graph.nodes.map((node) => {
+    const attributes = [`label=${quote(node.name)}`];
+    if (!node.isRegistered) {
+      attributes.push('color=red');
+    } else if (node.aliasOf) {
+      attributes.push('shape=box');
+    }
+    if (node.filename) {
+      attributes.push(`tooltip=${quote(node.filename)}`);
+    }
+
+    return `  ${quote(node.name)} [${attributes.join(', ')}];`;
+  });
+
+  const edgeLines = graph.edges.map((edge) => {
+    let style = '';
+    if (edge.isLazy) {
+      style = ' [style=dashed]';
+    } else if (edge.isOptional) {
+      style = ' [style=dotted]';
+    }
+
+    return `  ${quote(edge.from)} -> ${quote(edge.to)}${style};`;
+  });
+
+  return ['digraph factoryDi {', ...nodeLines, ...edgeLines, '}'].join('\n');
+}
+
+/**
+ * Serializes the dependency graph into a Mermaid flowchart.
+ * Lazy and optional dependencies use dotted arrows.
+ *
+ * @param {DependencyGraph} graph
+ * @returns {string}
+ */
+function serializeGraphToMermaid(graph) {
+  // Mermaid ids can not contain most characters used in item names, so each node gets a generated id.
+  const nodeIds = {};
+  graph.nodes.forEach((node, nodeIndex) => {
+    nodeIds[node.name] = `n${nodeIndex}`;
+  });
+
+  const nodeLines = graph.nodes.map((node) => {
+    const label = node.name.replace(/"/g, '#quot;');
+
+    return `  ${nodeIds[node.name]}["${label}"]`;
+  });
+
+  const edgeLines = graph.edges.map((edge) => {
+    const arrow = (edge.isLazy || edge.isOptional) ? '-.->' : '-->';
+
+    return `  ${nodeIds[edge.from]} ${arrow} ${nodeIds[edge.to]}`;
+  });
+
+  const missingIds = graph.nodes.filter((node) => {
+    return !node.isRegistered;
+  }).map((node) => {
+    return nodeIds[node.name];
+  });
+
+  const styleLines = (!missingIds.length) ? [] : [
+    '  classDef missing stroke:#f00',
+    `  class ${missingIds.join(',')} missing`,
+  ];
+
+  return ['graph TD', ...nodeLines, ...edgeLines, ...styleLines].join('\n');
+}
+
+/**
+ * Serializes the dependency graph into JSON.
+ *
+ * @param {DependencyGraph} graph
+ * @returns {string}
+ */
+function serializeGraphToJson(graph) {
+  return JSON.stringify(graph, null, 2);
+}
+
+module.exports = {
+  buildGraph,
+  getDependentNames,
+  serializeGraph,
+};
@@ -0,0 +1,628 @@
+/**
+ * A parsed function parameter.
+ *
+ * @typedef {Object} FunctionParameter
+ * @property {?string} name - The name of the parameter (null if it is destructured).
+ * @property {boolean} hasDefault - Whether or not the parameter has a default value.
+ * @property {boolean} isDestructured - Whether or not the parameter is an object or array pattern.
+ * @property {boolean} isRest - Whether or not the parameter is a rest parameter (...name).
+ */
+
+/**
+ * The parsed signature of a function.
+ *
+ * @typedef {Object} FunctionSignature
+ * @property {FunctionParameter[]} parameters - The parameters of the function (or class constructor).
+ * @property {boolean} isClass - Whether or not the function is a class.
+ * @property {boolean} isInherited - Whether or not the class has no constructor of its own.
+ */
+
+/**
+ * A token from the function source.
+ *
+ * @typedef {Object} SourceToken
+ * @property {string} type - One of 'word', 'number', 'string', 'regex' or 'punctuator'.
+ * @property {string} value
+ * @property {number} end - The index in the source just after the token.
+ */
+
+/**
+ * Reads the tokens of a function source one at a time.
+ *
+ * @typedef {Object} TokenReader
+ * @property {function} next - Gets the next token (or null at the end of the source).
+ * @property {function} peek - Gets the next token without moving past it.
+ */
+
+/**
+ * The characters that open a nested group.
+ * @const {string[]}
+ */
+const OPENERS = ['(', '[', '{'];
+
+/**
+ * The characters that close a nested group.
+ * @const {string[]}
+ */
+const CLOSERS = [')', ']', '}'];
+
+/**
+ * Punctuators that are made of more than one character and matter to the parser.
+ * @const {string[]}
+ */
+const MULTI_CHARACTER_PUNCTUATORS = ['...', '=>'];
+
+/**
+ * The regexp for the first character of an identifier.
+ * @const {RegExp}
+ */
+const IDENTIFIER_START_REGEXP = /[a-zA-Z_$\u0080-\uffff]/;
+
+/**
+ * The regexp for the characters of an identifier after the first.
+ * @const {RegExp}
+ */
+const IDENTIFIER_PART_REGEXP = /[a-zA-Z0-9_$\u0080-\uffff]/;
+
+/**
+ * The regexp for the start of a number (a digit, or a dot followed by a digit).
+ * @const {RegExp}
+ */
+const NUMBER_START_REGEXP = /^(\d|\.\d)/;
+
+/**
+ * The regexp for the characters of a number after the first.
+ * @const {RegExp}
+ */
+const NUMBER_PART_REGEXP = /[0-9a-zA-Z_.]/;
+
+/**
+ * The regexp for whitespace characters.
+ * @const {RegExp}
+ */
+const WHITESPACE_REGEXP = /\s/;
+
+/**
+ * The regexp for the flags after a regex literal.
+ * @const {RegExp}
+ */
+const REGEX_FLAGS_REGEXP = /[a-z]/;
+
+/**
+ * The already parsed function signatures, so registering the same function again does not parse it again.
+ * @type {WeakMap<function, ?FunctionSignature>}
+ */
+const signatureCache = new WeakMap();
+
+/**
+ * Parses the parameters of the given function, arrow function, method or class constructor.
+ *
+ * @param {function} func
+ * @returns {?FunctionSignature} - Null if the function source could not be parsed.
+ */
+function parseFunctionSignature(func) {
+  if (signatureCache.has(func)) {
+    return signatureCache.get(func);
+  }
+
+  let signature = parseFunctionSource(Function.prototype.toString.call(func));
+
+  // Classes without a constructor of their own are constructed using the constructor of their parent class.
+  const parentClass = Object.getPrototypeOf(func);
+  if (signature && signature.isInherited && parentClass !== Function.prototype) {
+    const parentSignature = parseFunctionSignature(parentClass);
+    signature = parentSignature && {...parentSignature, isClass: true};
+  }
+
+  signatureCache.set(func, signature);
+
+  return signature;
+}
+
+/**
+ * Makes the wrapper function parse to the same signature as the function it wraps, since the source of the wrapper
+ * does not show the parameters it passes on.
+ *
+ * @param {function} func - The wrapped function.
+ * @param {function} wrapperFunc
+ */
+function shareFunctionSignature(func, wrapperFunc) {
+  signatureCache.set(wrapperFunc, parseFunctionSignature(func));
+}
+
+/**
+ * Parses the parameters from the function source.
+ *
+ * @param {string} source
+ * @returns {?FunctionSignature}
+ */
+function parseFunctionSource(source) {
+  const reader = createTokenReader(source);
+
+  const firstToken = reader.next();
+
+  if (isWord(firstToken, 'class')) {
+    return parseClassSignature(reader);
+  }
+
+  let token = skipFunctionKeywords(reader, firstToken);
+
+  // Arrow functions with a single parameter do not need parentheses.
+  if (token && token.type === 'word' && isPunctuator(reader.peek(), '=>')) {
+    return buildSignature([buildParameter([token])], false, false);
+  }
+
+  // Skip any generator star, method name or computed method key until the parameter list.
+  while (token && !isPunctuator(token, '(')) {
+    if (isPunctuator(token, '[')) {
+      skipGroup(reader);
+    }
+    token = reader.next();
+  }
+
+  if (!token) {
+    return null;
+  }
+
+  return buildSignature(parseParameterList(reader), false, false);
+}
+
+/**
+ * Skips the 'async' and 'function' keywords at the start of the function source.
+ *
+ * @param {TokenReader} reader
+ * @param {?SourceToken} token - The first token of the function source.
+ * @returns {?SourceToken} - The first token after the keywords.
+ */
+function skipFunctionKeywords(reader, token) {
+  let currentToken = token;
+
+  // A lone 'async' followed by an arrow is a parameter named async, not an async function.
+  if (isWord(currentToken, 'async') && !isPunctuator(reader.peek(), '=>')) {
+    currentToken = reader.next();
+  }
+
+  if (isWord(currentToken, 'function')) {
+    currentToken = reader.next();
+  }
+
+  return currentToken;
+}
+
+/**
+ * Parses the signature of the class using the parameters of its constructor.
+ *
+ * @param {TokenReader} reader
+ * @returns {?FunctionSignature}
+ */
+function parseClassSignature(reader) {
+  // Skip the class name and any extends expression until the class body.
+  let token = reader.next();
+  while (token && !isPunctuator(token, '{')) {
+    if (isPunctuator(token, '(') || isPunctuator(token, '[')) {
+      skipGroup(reader);
+    }
+    token = reader.next();
+  }
+
+  let depth = 0;
+  let previousToken = null;
+
+  for (token = reader.next(); token; token = reader.next()) {
+    if (depth === 0 && isConstructorMethod(token, previousToken, reader.peek())) {
+      reader.next();
+      return buildSignature(parseParameterList(reader), true, false);
+    }
+
+    depth += getDepthChange(token);
+    if (depth < 0) {
+      // The end of the class body was reached without finding a constructor, so the parent constructor is used.
+      return buildSignature([], true, true);
+    }
+
+    previousToken = token;
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether the token in the class body starts the constructor method.
+ *
+ * @param {SourceToken} token
+ * @param {?SourceToken} previousToken
+ * @param {?SourceToken} nextToken
+ * @returns {boolean}
+ */
+function isConstructorMethod(token, previousToken, nextToken) {
+  return isWord(token, 'constructor')
+    && isPunctuator(nextToken, '(')
+    && !isWord(previousToken, 'static')
+    && !isPunctuator(previousToken, '.');
+}
+
+/**
+ * Parses the parameter list, starting just after the opening parenthesis.
+ *
+ * @param {TokenReader} reader
+ * @returns {?Array<FunctionParameter>} - Null if the parameter list is never closed.
+ */
+function parseParameterList(reader) {
+  const parameterTokens = [];
+  let currentTokens = [];
+  let depth = 0;
+
+  for (let token = reader.next(); token; token = reader.next()) {
+    depth += getDepthChange(token);
+
+    if (depth < 0) {
+      // A trailing comma leaves no tokens for a final parameter.
+      if (currentTokens.length) {
+        parameterTokens.push(currentTokens);
+      }
+
+      return parameterTokens.map(buildParameter);
+    } else if (depth === 0 && isPunctuator(token, ',')) {
+      parameterTokens.push(currentTokens);
+      currentTokens = [];
+    } else {
+      currentTokens.push(token);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Builds the parameter from its tokens.
+ *
+ * @param {SourceToken[]} tokens
+ * @returns {FunctionParameter}
+ */
+function buildParameter(tokens) {
+  const isRest = isPunctuator(tokens[0], '...');
+  const patternIndex = (isRest) ? 1 : 0;
+  const isDestructured = getDepthChange(tokens[patternIndex]) > 0;
+
+  let defaultIndex = patternIndex + 1;
+  if (isDestructured) {
+    // The default value comes after the end of the object or array pattern.
+    let depth = 0;
+    defaultIndex = tokens.findIndex((token, tokenIndex) => {
+      depth += (tokenIndex < patternIndex) ? 0 : getDepthChange(token);
+      return tokenIndex >= patternIndex && depth === 0;
+    }) + 1;
+  }
+
+  return {
+    name: (isDestructured) ? null : tokens[patternIndex].value,
+    hasDefault: isPunctuator(tokens[defaultIndex], '='),
+    isDestructured,
+    isRest,
+  };
+}
+
+/**
+ * Builds the function signature.
+ *
+ * @param {?Array<FunctionParameter>} parameters
+ * @param {boolean} isClass
+ * @param {boolean} isInherited
+ * @returns {?FunctionSignature}
+ */
+function buildSignature(parameters, isClass, isInherited) {
+  if (!parameters) {
+    return null;
+  }
+
+  return {parameters, isClass, isInherited};
+}
+
+/**
+ * Skips the tokens of a nested group, starting just after its opening character.
+ *
+ * @param {TokenReader} reader
+ */
+function skipGroup(reader) {
+  let depth = 1;
+
+  for (let token = reader.next(); token; token = reader.next()) {
+    depth += getDepthChange(token);
+
+    if (!depth) {
+      return;
+    }
+  }
+}
+
+/**
+ * Gets how much the token changes the nesting depth of the source.
+ *
+ * @param {?SourceToken} token
+ * @returns {number} - 1 for an opening character, -1 for a closing character, otherwise 0.
+ */
+function getDepthChange(token) {
+  if (!token || token.type !== 'punctuator') {
+    return 0;
+  } else if (OPENERS.indexOf(token.value) !== -1) {
+    return 1;
+  }
+
+  return (CLOSERS.indexOf(token.value) !== -1) ? -1 : 0;
+}
+
+/**
+ * Creates a reader that tokenizes the source only as far as it is read.
+ *
+ * @param {string} source
+ * @returns {TokenReader}
+ */
+function createTokenReader(source) {
+  const tokens = tokenize(source, 0);
+
+  let peekedToken;
+  let hasPeeked = false;
+
+  return {
+    next: () => {
+      if (hasPeeked) {
+        hasPeeked = false;
+        return peekedToken;
+      }
+
+      return tokens.next().value || null;
+    },
+    peek: () => {
+      if (!hasPeeked) {
+        peekedToken = tokens.next().value || null;
+        hasPeeked = true;
+      }
+
+      return peekedToken;
+    },
+  };
+}
+
+/**
+ * Splits the source into tokens, skipping whitespace and comments.
+ *
+ * @param {string} source
+ * @param {number} startIndex
+ * @yields {SourceToken}
+ */
+function* tokenize(source, startIndex) {
+  let index = startIndex;
+  let previousToken = null;
+
+  while (index < source.length) {
+    const char = source[index];
+    const nextChar = source[index + 1];
+
+    if (WHITESPACE_REGEXP.test(char)) {
+      index += 1;
+      continue;
+    } else if (char === '/' && nextChar === '/') {
+      const lineEnd = source.indexOf('\n', index);
+      index = (lineEnd === -1) ? source.length : lineEnd;
+      continue;
+    } else if (char === '/' && nextChar === '*') {
+      const commentEnd = source.indexOf('*/', index + 2);
+      index = (commentEnd === -1) ? source.length : commentEnd + 2;
+      continue;
+    }
+
+    const token = readToken(source, index, previousToken);
+
+    yield token;
+
+    previousToken = token;
+    index = token.end;
+  }
+}
+
+/**
+ * Reads the token that starts at the given index.
+ *
+ * @param {string} source
+ * @param {number} index
+ * @param {?SourceToken} previousToken
+ * @returns {SourceToken}
+ */
+function readToken(source, index, previousToken) {
+  const char = source[index];
+
+  let type = 'punctuator';
+  let end;
+
+  if (char === '"' || char === '\'') {
+    type = 'string';
+    end = skipQuoted(source, index);
+  } else if (char === '`') {
+    type = 'string';
+    end = skipTemplate(source, index);
+  } else if (char === '/' && isRegexAllowed(previousToken)) {
+    type = 'regex';
+    end = skipRegex(source, index);
+  } else if (IDENTIFIER_START_REGEXP.test(char)) {
+    type = 'word';
+    end = skipWhile(source, index, IDENTIFIER_PART_REGEXP);
+  } else if (NUMBER_START_REGEXP.test(source.slice(index, index + 2))) {
+    type = 'number';
+    end = skipWhile(source, index, NUMBER_PART_REGEXP);
+  } else {
+    end = skipPunctuator(source, index);
+  }
+
+  return {
+    type,
+    value: source.slice(index, end),
+    end,
+  };
+}
+
+/**
+ * Gets the index after the end of the punctuator that starts at the given index.
+ *
+ * @param {string} source
+ * @param {number} index
+ * @returns {number}
+ */
+function skipPunctuator(source, index) {
+  const punctuator = MULTI_CHARACTER_PUNCTUATORS.find((multiPunctuator) => {
+    return source.startsWith(multiPunctuator, index);
+  });
+
+  return index + ((punctuator) ? punctuator.length : 1);
+}
+
+/**
+ * Checks whether a slash after the previous token starts a regex instead of being a division.
+ *
+ * @param {?SourceToken} previousToken
+ * @returns {boolean}
+ */
+function isRegexAllowed(previousToken) {
+  if (!previousToken) {
+    return true;
+  } else if (previousToken.type === 'word') {
+    return ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void'].indexOf(previousToken.value) !== -1;
+  }
+
+  return previousToken.type === 'punctuator' && CLOSERS.indexOf(previousToken.value) === -1;
+}
+
+/**
+ * Gets the index after the last character that matches the regexp.
+ *
+ * @param {string} source
+ * @param {number} index
+ * @param {RegExp} charRegexp
+ * @returns {number}
+ */
+function skipWhile(source, index, charRegexp) {
+  let end = index + 1;
+  while (end < source.length && charRegexp.test(source[end])) {
+    end += 1;
+  }
+  return end;
+}
+
+/**
+ * Gets the index after the end of the quoted string that starts at the given index.
+ *
+ * @param {string} source
+ * @param {number} index
+ * @returns {number}
+ */
+function skipQuoted(source, index) {
+  const quote = source[index];
+
+  let end = index + 1;
+  while (end < source.length && source[end] !== quote) {
+    end += (source[end] === '\\') ? 2 : 1;
+  }
+
+  return end + 1;
+}
+
+/**
+ * Gets the index after the end of the template literal that starts at the given index.
+ *
+ * @param {string} source
+ * @param {number} index
+ * @returns {number}
+ */
+function skipTemplate(source, index) {
+  let end = index + 1;
+
+  while (end < source.length && source[end] !== '`') {
+    if (source[end] === '\\') {
+      end += 2;
+    } else if (source[end] === '$' && source[end + 1] === '{') {
+      end = skipTemplateExpression(source, end + 1);
+    } else {
+      end += 1;
+    }
+  }
+
+  return end + 1;
+}
+
+/**
+ * Gets the index after the end of the template expression whose opening brace is at the given index.
+ *
+ * @param {string} source
+ * @param {number} braceIndex
+ * @returns {number}
+ */
+function skipTemplateExpression(source, braceIndex) {
+  let depth = 0;
+
+  for (const token of tokenize(source, braceIndex)) {
+    if (token.type !== 'punctuator') {
+      continue;
+    } else if (token.value === '{') {
+      depth += 1;
+    } else if (token.value === '}') {
+      depth -= 1;
+    }
+
+    if (!depth) {
+      return token.end;
+    }
+  }
+
+  return source.length;
+}
+
+/**
+ * Gets the index after the end of the regex literal (and its flags) that starts at the given index.
+ *
+ * @param {string} source
+ * @param {number} index
+ * @returns {number}
+ */
+function skipRegex(source, index) {
+  let end = index + 1;
+  let inCharacterClass = false;
+
+  while (end < source.length && (inCharacterClass || source[end] !== '/')) {
+    if (source[end] === '\\') {
+      end += 1;
+    } else if (source[end] === '[') {
+      inCharacterClass = true;
+    } else if (source[end] === ']') {
+      inCharacterClass = false;
+    }
+    end += 1;
+  }
+
+  return skipWhile(source, end, REGEX_FLAGS_REGEXP);
+}
+
+/**
+ * Checks whether the token is the given word.
+ *
+ * @param {?SourceToken} token
+ * @param {string} word
+ * @returns {boolean}
+ */
+function isWord(token, word) {
+  return Boolean(token) && token.type === 'word' && token.value === word;
+}
+
+/**
+ * Checks whether the token is the given punctuator.
+ *
+ * @param {?SourceToken} token
+ * @param {string} punctuator
+ * @returns {boolean}
+ */
+function isPunctuator(token, punctuator) {
+  return Boolean(token) && token.type === 'punctuator' && token.value === punctuator;
+}
+
+module.exports = {
+  parseFunctionSignature,
+  shareFunctionSignature,
+};
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+
+const {normalizeFilePath} = require('./moduleHelper');
+
+/**
+ * A place in a source file.
+ *
+ * @typedef {Object} SourceLocation
+ * @property {string} filename - The path to the file.
+ * @property {number} line - The line number, starting at 1.
+ * @property {number} column - The column number, starting at 1.
+ */
+
+/**
+ * The directory the injector modules are in.
+ * @const {string}
+ */
+const LIBRARY_DIRECTORY = path.resolve(__dirname, '..');
+
+/**
+ * The files in the injector directory that are not part of the injector, relative to the directory: the examples and
+ * the tests.
+ * @const {RegExp}
+ */
+const NON_LIBRARY_REGEXP = /^example\/|\.test(?:-d)?\.[cm]?[jt]s$/;
+
+/**
+ * How many file contents to keep, so registering many items from the same few files does not read them again.
+ * @const {number}
+ */
+const MAX_CACHED_SOURCES = 20;
+
+/**
+ * How many stack frames to look through for the caller, since the injector can call register() several times deep.
+ * @const {number}
+ */
+const MAX_STACK_DEPTH = 50;
+
+/**
+ * The prefix of the files that are part of NodeJS itself.
+ * @const {string}
+ */
+const NODE_INTERNAL_PREFIX = 'node:';
+
+/**
+ * The contents of the files last searched for factories, by path, with the most recently used last. Null if the file
+ * could not be read.
+ *
+ * @type {Map<string, ?string>}
+ */
+const sourceCache = new Map();
+
+/**
+ * Finds where the injector was called from, using the V8 structured stack trace.
+ * Every frame inside the injector modules (and NodeJS itself) is skipped.
+ *
+ * @returns {?SourceLocation} - Null if no caller outside of the injector could be found.
+ */
+function captureCallerSource() {
+  const originalPrepare = Error.prepareStackTrace;
+  const originalLimit = Error.stackTraceLimit;
+  const stackHolder = {};
+
+  try {
+    Error.prepareStackTrace = (error, callSites) => {
+      return callSites;
+    };
+    Error.stackTraceLimit = MAX_STACK_DEPTH;
+    Error.captureStackTrace(stackHolder, captureCallerSource);
+
+    return findCallerSource(stackHolder.stack);
+  } finally {
+    Error.prepareStackTrace = originalPrepare;
+    Error.stackTraceLimit = originalLimit;
+  }
+}
+
+/**
+ * Finds the first call site that is outside of the injector.
+ *
+ * @param {*} callSites - The structured stack trace. Anything other than a list of call sites is ignored.
+ * @returns {?SourceLocation}
+ */
+function findCallerSource(callSites) {
+  if (!Array.isArray(callSites)) {
+    return null;
+  }
+
+  const callerSite = callSites.find((callSite) => {
+    const filename = callSite.getFileName();
+
+    return Boolean(filename) && !filename.startsWith(NODE_INTERNAL_PREFIX)
+      && !isLibraryFile(normalizeFilePath(filename));
+  });
+
+  if (!callerSite) {
+    return null;
+  }
+
+  return {
+    filename: normalizeFilePath(callerSite.getFileName()),
+    line: callerSite.getLineNumber(),
+    column: callerSite.getColumnNumber(),
+  };
+}
+
+/**
+ * Finds where the factory is defined in the file, by searching the file for the factory's source code.
+ *
+ * @param {function} factory
+ * @param {string} filename
+ * @returns {?SourceLocation} - Null if the factory is not defined in the file (or the file can not be read).
+ */
+function findFactorySource(factory, filename) {
+  const fileSource = readSource(filename);
+  if (!fileSource) {
+    return null;
+  }
+
+  const factoryIndex = fileSource.indexOf(Function.prototype.toString.call(factory));
+  if (factoryIndex === -1) {
+    return null;
+  }
+
+  const linesBefore = fileSource.slice(0, factoryIndex).split('\n');
+
+  return {
+    filename,
+    line: linesBefore.length,
+    column: linesBefore[linesBefore.length - 1].length + 1,
+  };
+}
+
+/**
+ * Formats the location as 'path:line:column', the same as in a code stack.
+ *
+ * @param {SourceLocation} location
+ * @returns {string}
+ */
+function formatSourceLocation(location) {
+  return `${location.filename}:${location.line}:${location.column}`;
+}
+
+/**
+ * Reads the file, keeping the contents of the last few files read so they are not read again for every item.
+ *
+ * @param {string} filename
+ * @returns {?string}
+ */
+function readSource(filename) {
+  if (sourceCache.has(filename)) {
+    // Move the file to the end, so the least recently used file is removed first.
+    const cachedSource = sourceCache.get(filename);
+    sourceCache.delete(filename);
+    sourceCache.set(filename, cachedSource);
+
+    return cachedSource;
+  }
+
+  let fileSource = null;
+  try {
+    // Registering is synchronous, so the file must be read synchronously as well.
+    fileSource = fs.readFileSync(filename, 'utf8'); // eslint-disable-line no-sync
+  } catch (readError) {
+    fileSource = null;
+  }
+
+  sourceCache.set(filename, fileSource);
+  if (sourceCache.size > MAX_CACHED_SOURCES) {
+    sourceCache.delete(sourceCache.keys().next().value);
+  }
+
+  return fileSource;
+}
+
+/**
+ * Whether or not the file is one of the injector modules, which is any module in the injector directory (such as the
+ * testing and ES module entry points) other than the examples and tests.
+ *
+ * @param {string} filename
+ * @returns {boolean}
+ */
+function isLibraryFile(filename) {
+  const relativePath = path.relative(LIBRARY_DIRECTORY, filename);
+  if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    return false;
+  }
+
+  return !NON_LIBRARY_REGEXP.test(relativePath.split(path.sep).join('/'));
+}
+
+module.exports = {
+  captureCallerSource,
+  findFactorySource,
+  formatSourceLocation,
+};
@@ -1,34 +1,87 @@
 /**
- * Builds an error with a stack that shows the resolve history instead of the code history.
+ * Adds the resolve history to the error and rebuilds its stack to show the resolve path before the code stack.
+ * The original code stack is kept in the error's codeStack property.
  *
- * @param {string|Error} messageOrError
+ * @param {Error} error
  * @param {Array<{}>} history
- * @param {boolean=} includeCodeStack
- * @returns {*|{}}
+ * @returns {Error}
  */
-function buildErrorWithStack(messageOrError, history, includeCodeStack) {
-  let error = messageOrError || {};
-  if (typeof messageOrError === 'string') {
-    error = new Error(messageOrError);
+function attachResolveHistory(error, history) {
+  if (!Object.prototype.hasOwnProperty.call(error, 'codeStack')) {
+    Object.defineProperty(error, 'codeStack', {
+      value: error.stack,
+      writable: true,
+      configurable: true,
+    });
+  }
+
+  error.history = history;
+  if (!error.itemName && history.length) {
+    error.itemName = history[history.length - 1].name;
   }
 
-  const codeStack = error.stack;
+  error.stack = formatError(error);
+
+  return error;
+}
+
+/**
+ * Builds an error with a stack that shows the resolve history as well as the code history.
+ *
+ * @param {string|Error} messageOrError
+ * @param {Array<{}>} history
+ * @returns {Error}
+ */
+function buildErrorWithStack(messageOrError, history) {
+  const error = (typeof messageOrError === 'string') ? new Error(messageOrError) : messageOrError;
+
+  return attachResolveHistory(error, history);
+}
 
-  const previous = history.slice(0).reverse();
+/**
+ * Formats the resolve path, from the item that failed back to the item that was first resolved.
+ *
+ * @param {Array<{}>} history
+ * @returns {string}
+ */
+function formatResolvePath(history) {
+  return history.slice(0).reverse().reduce((resolvePath, item) => {
+    const location = (item.aliasOf) ? `alias of ${item.aliasOf}` : (item.filepath || '?');
 
-  error.stack = previous.reduce((errorStack, item) => {
-    return errorStack
-      + `\n    at ${item.name} (${item.filepath || '?'})`
+    return resolvePath
+      + `\n    at ${item.name} (${location})`
       + `\n        registered in [${item.registerSource || '?'}]`;
-  }, error.message || 'Error');
+  }, '');
+}
+
+/**
+ * Renders the error with its resolve path, its code stack and any errors that caused it.
+ *
+ * @param {Error|*} error
+ * @returns {string}
+ */
+function formatError(error) {
+  if (!error || typeof error !== 'object') {
+    return String(error);
+  }
 
-  if (includeCodeStack) {
-    error.stack += '\n\nCode Stack\n' + codeStack;
+  const codeStack = error.codeStack || error.stack || '';
+  if (!Array.isArray(error.history)) {
+    return codeStack || String(error);
   }
 
-  return error;
+  const header = (error.code) ? `${error.message} [${error.code}]` : error.message;
+
+  let formatted = `${header}${formatResolvePath(error.history)}\n\nCode Stack\n${codeStack}`;
+  if (error.cause !== undefined) {
+    formatted += `\n\nCaused By\n${formatError(error.cause)}`;
+  }
+
+  return formatted;
 }
 
 module.exports = {
+  attachResolveHistory,
   buildErrorWithStack,
+  formatError,
 };
@@ -0,0 +1,27 @@
+/**
+ * The decorators that a factory wrapping another factory must keep, so it is still run, cached and traced the same
+ * way as the factory it wraps.
+ * @const {string[]}
+ */
+const CARRIED_DECORATORS = ['$filename', '$$registerSourceFile', '$singleton', '$scoped', '$$placeholderArgs'];
+
+/**
+ * Copies the decorators of the factory onto the factory that wraps it.
+ *
+ * @param {DecoratedFactory} sourceFactory - The factory being wrapped.
+ * @param {DecoratedFactory} targetFactory - The factory that wraps it.
+ * @returns {DecoratedFactory} - The target factory.
+ */
+function copyFactoryDecorators(sourceFactory, targetFactory) {
+  CARRIED_DECORATORS.forEach((decoratorName) => {
+    if (sourceFactory[decoratorName]) {
+      targetFactory[decoratorName] = sourceFactory[decoratorName];
+    }
+  });
+
+  return targetFactory;
+}
+
+module.exports = {
+  copyFactoryDecorators,
+};
@@ -17,9 +17,63 @@ function addToHistory(history, itemName, resolvedFactory) {
     newRecord.notFound = true;
   }
 
+  if (resolvedFactory.$$aliasOf) {
+    newRecord.aliasOf = resolvedFactory.$$aliasOf;
+  }
+
   return [...history, newRecord];
 }
 
+/**
+ * Marks the end of the history as the start of a lazily resolved dependency path.
+ * Ancestors before the boundary are still shown in error stacks, but are not used to find cyclic dependencies.
+ *
+ * @param {Array<{}>} history
+ * @returns {Array<{}>}
+ */
+function addLazyBoundary(history) {
+  if (!history.length) {
+    return history;
+  }
+
+  return [
+    ...history.slice(0, -1),
+    {
+      ...history[history.length - 1],
+      lazyBoundary: true,
+    },
+  ];
+}
+
+/**
+ * Checks whether the item resolved after the history starts a new dependency path, either because it is the item being
+ * resolved or because it is a lazy dependency that is being used.
+ *
+ * @param {?Array<{}>} history
+ * @returns {boolean}
+ */
+function startsDependencyPath(history) {
+  return !history || !history.length || Boolean(history[history.length - 1].lazyBoundary);
+}
+
+/**
+ * Gets the name of the last item in the history.
+ * When resolving an alias, this will be the name of the item the alias points to.
+ *
+ * @param {Array<{}>} history
+ * @returns {?string}
+ */
+function getLastItemName(history) {
+  if (!history.length) {
+    return null;
+  }
+
+  return history[history.length - 1].name;
+}
+
 module.exports = {
+  addLazyBoundary,
   addToHistory,
+  getLastItemName,
+  startsDependencyPath,
 };
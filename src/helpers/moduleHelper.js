@@ -0,0 +1,80 @@
+const url = require('url');
+
+/**
+ * The prefix of file URLs, such as the import.meta.url of an ES module.
+ * @const {string}
+ */
+const FILE_URL_PREFIX = 'file:';
+
+/**
+ * The prefix of the named exports of an ES module that are copied onto its default export.
+ * @const {string}
+ */
+const DECORATOR_PREFIX = '$';
+
+/**
+ * Converts a file URL (such as import.meta.url) to a plain file path, so it can be shown in the resolve path.
+ * Anything that is not a file URL is returned as it is.
+ *
+ * @param {string|URL|*} filePath
+ * @returns {string|*}
+ */
+function normalizeFilePath(filePath) {
+  if (filePath instanceof url.URL) {
+    return (filePath.protocol === FILE_URL_PREFIX) ? url.fileURLToPath(filePath) : filePath.href;
+  } else if (typeof filePath === 'string' && filePath.startsWith(FILE_URL_PREFIX)) {
+    return url.fileURLToPath(filePath);
+  }
+
+  return filePath;
+}
+
+/**
+ * Gets the factory (or item) an ES module exports as its default export.
+ * Named exports that start with '$' (such as `export const $inject = [...]`) are copied onto a default exported
+ * function, unless the function already defines them.
+ * Anything that is not an ES module (or has no default export) is returned as it is.
+ *
+ * @param {*} moduleExports - The module namespace object, or the exports of a CommonJS module.
+ * @returns {*}
+ */
+function getModuleFactory(moduleExports) {
+  if (!isEsModule(moduleExports)) {
+    return moduleExports;
+  }
+
+  const defaultExport = moduleExports.default;
+  if (typeof defaultExport !== 'function') {
+    return defaultExport;
+  }
+
+  Object.keys(moduleExports).forEach((exportName) => {
+    if (exportName.startsWith(DECORATOR_PREFIX) && defaultExport[exportName] === undefined) {
+      defaultExport[exportName] = moduleExports[exportName];
+    }
+  });
+
+  return defaultExport;
+}
+
+/**
+ * Checks whether the value is an ES module namespace object (or the exports of a transpiled ES module) with a default
+ * export.
+ *
+ * @param {*} moduleExports
+ * @returns {boolean}
+ */
+function isEsModule(moduleExports) {
+  if (!moduleExports || typeof moduleExports !== 'object') {
+    return false;
+  }
+
+  const isNamespace = moduleExports[Symbol.toStringTag] === 'Module' || moduleExports.__esModule === true;
+
+  return isNamespace && Object.prototype.hasOwnProperty.call(moduleExports, 'default');
+}
+
+module.exports = {
+  getModuleFactory,
+  normalizeFilePath,
+};
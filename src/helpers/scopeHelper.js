@@ -0,0 +1,271 @@
+const {createSingletonStore} = require('./singletonStore');
+
+/**
+ * The state of a single call to resolve an item, shared by every item resolved as part of it.
+ *
+ * @typedef {Object} ResolveSession
+ * @property {InjectorState} origin - The state of the scope the resolve was called on.
+ * @property {Map<InjectorState, Map<string, *>>} newSingletons - The singletons resolved so far, by the scope that
+ *           owns them. They are only stored in the scopes once the resolve has finished.
+ */
+
+/**
+ * Where an item is being resolved.
+ *
+ * @typedef {Object} ResolveContext
+ * @property {InjectorState} scope - The state of the scope the item is resolved in.
+ * @property {ResolveSession} session
+ */
+
+/**
+ * Starts a new resolve from the given scope.
+ *
+ * @param {InjectorState} injectorState
+ * @returns {ResolveContext}
+ */
+function createResolveContext(injectorState) {
+  return {
+    scope: injectorState,
+    session: {
+      origin: injectorState,
+      newSingletons: new Map(),
+    },
+  };
+}
+
+/**
+ * Finds the scope that registered the item, looking through the parent scopes if the scope did not register it.
+ *
+ * @param {InjectorState} injectorState
+ * @param {string} itemName
+ * @returns {?InjectorState} - Null if the item is not registered in the scope or any of its parents.
+ */
+function findRegisteringScope(injectorState, itemName) {
+  for (let state = injectorState; state; state = state.parent) {
+    if (state.registered[itemName]) {
+      return state;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Gets the factory the item is registered with in the scope (or the closest parent scope that registered it).
+ *
+ * @param {InjectorState} injectorState
+ * @param {string} itemName
+ * @returns {?DecoratedFactory}
+ */
+function getScopeFactory(injectorState, itemName) {
+  const registeringState = findRegisteringScope(injectorState, itemName);
+
+  return (registeringState) ? registeringState.registered[itemName] : null;
+}
+
+/**
+ * Gets the factories the item is registered with in the scope and each of its parent scopes.
+ *
+ * @param {InjectorState} injectorState
+ * @param {string} itemName
+ * @returns {DecoratedFactory[]} - The factory of the scope first, followed by those of its parents.
+ */
+function getChainFactories(injectorState, itemName) {
+  const factories = [];
+  for (let state = injectorState; state; state = state.parent) {
+    if (state.registered[itemName]) {
+      factories.push(state.registered[itemName]);
+    }
+  }
+
+  return factories;
+}
+
+/**
+ * Gets every item registered in the scope and its parent scopes. Items registered in the scope shadow the items of
+ * its parents.
+ *
+ * @param {InjectorState} injectorState
+ * @returns {Object<name, DecoratedFactory>}
+ */
+function getAllRegistered(injectorState) {
+  if (!injectorState.parent) {
+    return injectorState.registered;
+  }
+
+  return {
+    ...getAllRegistered(injectorState.parent),
+    ...injectorState.registered,
+  };
+}
+
+/**
+ * Gets the decorators that apply to items resolved in the scope.
+ * The decorators of the parent scopes are applied before the scope's own decorators.
+ *
+ * @param {InjectorState} injectorState
+ * @returns {DecoratorEntry[]}
+ */
+function getScopeDecorators(injectorState) {
+  if (!injectorState.parent) {
+    return injectorState.decorators;
+  }
+
+  return [...getScopeDecorators(injectorState.parent), ...injectorState.decorators];
+}
+
+/**
+ * Finds the scope that should cache the resolved instance of the given item.
+ * Scoped items are cached in the scope that resolved them, while singletons are cached in the scope that
+ * registered them.
+ *
+ * @param {InjectorState} injectorState - The state of the scope that resolved the item.
+ * @param {string} itemName
+ * @param {DecoratedFactory} factory
+ * @returns {InjectorState}
+ */
+function findSingletonOwner(injectorState, itemName, factory) {
+  if (factory.$scoped) {
+    return injectorState;
+  }
+
+  let ownerState = injectorState;
+  while (ownerState.parent && !ownerState.registered[itemName]) {
+    ownerState = ownerState.parent;
+  }
+
+  return ownerState;
+}
+
+/**
+ * Finds the scope that caches the item when it is resolved from the given scope.
+ *
+ * @param {InjectorState} injectorState
+ * @param {string} itemName
+ * @returns {InjectorState}
+ */
+function findItemOwner(injectorState, itemName) {
+  return findSingletonOwner(injectorState, itemName, getScopeFactory(injectorState, itemName) || {});
+}
+
+/**
+ * Gets the context that the item's dependencies should be resolved in.
+ * Singletons are shared by every scope below the scope that registered them, so their dependencies are resolved
+ * in that scope, and never come from (or get cached for) the scope that happened to resolve the singleton first.
+ *
+ * @param {ResolveContext} context
+ * @param {string} itemName
+ * @param {DecoratedFactory} factory
+ * @returns {ResolveContext}
+ */
+function getFactoryContext(context, itemName, factory) {
+  if (!factory.$singleton || factory.$scoped) {
+    return context;
+  }
+
+  const ownerState = findSingletonOwner(context.scope, itemName, factory);
+
+  return (ownerState === context.scope) ? context : {...context, scope: ownerState};
+}
+
+/**
+ * Checks whether the item has already been resolved as a singleton, either before or during this resolve.
+ *
+ * @param {ResolveContext} context
+ * @param {string} itemName
+ * @returns {boolean}
+ */
+function hasSingleton(context, itemName) {
+  const ownerState = findItemOwner(context.scope, itemName);
+  const newSingletons = context.session.newSingletons.get(ownerState);
+
+  return Boolean(newSingletons && newSingletons.has(itemName)) || ownerState.singletons.has(itemName);
+}
+
+/**
+ * Gets the resolved singleton instance of the item.
+ *
+ * @param {ResolveContext} context
+ * @param {string} itemName
+ * @returns {*}
+ */
+function getSingleton(context, itemName) {
+  const ownerState = findItemOwner(context.scope, itemName);
+  const newSingletons = context.session.newSingletons.get(ownerState);
+
+  if (newSingletons && newSingletons.has(itemName)) {
+    return newSingletons.get(itemName);
+  }
+
+  return ownerState.singletons.get(itemName);
+}
+
+/**
+ * Adds the resolved singleton instance to the resolve, to be stored in the scope that owns it once the resolve
+ * has finished.
+ *
+ * @param {ResolveContext} context
+ * @param {string} itemName
+ * @param {*} singletonInstance
+ */
+function addSingleton(context, itemName, singletonInstance) {
+  const ownerState = findItemOwner(context.scope, itemName);
+  const {newSingletons} = context.session;
+
+  if (!newSingletons.has(ownerState)) {
+    newSingletons.set(ownerState, new Map());
+  }
+
+  newSingletons.get(ownerState).set(itemName, singletonInstance);
+}
+
+/**
+ * Stores the singletons resolved during the resolve in the scopes that own them.
+ * Only the new singletons are stored, so this does not depend on how many singletons have been resolved before.
+ *
+ * @param {ResolveSession} session
+ */
+function storeResolvedSingletons(session) {
+  session.newSingletons.forEach((newSingletons, ownerState) => {
+    newSingletons.forEach((singletonInstance, itemName) => {
+      ownerState.singletons.set(itemName, singletonInstance);
+    });
+  });
+}
+
+/**
+ * Gets every singleton that can be used from the scope: its own, and those of its parents that are not shadowed by
+ * a registration in the scope and are not scoped items.
+ *
+ * @param {InjectorState} injectorState
+ * @returns {SingletonStore}
+ */
+function getVisibleSingletons(injectorState) {
+  const visibleSingletons = createSingletonStore();
+
+  for (let state = injectorState; state; state = state.parent) {
+    state.singletons.names().forEach((itemName) => {
+      if (!visibleSingletons.has(itemName) && findItemOwner(injectorState, itemName) === state) {
+        visibleSingletons.set(itemName, state.singletons.get(itemName));
+      }
+    });
+  }
+
+  return visibleSingletons;
+}
+
+module.exports = {
+  addSingleton,
+  createResolveContext,
+  findItemOwner,
+  findSingletonOwner,
+  getAllRegistered,
+  getChainFactories,
+  getFactoryContext,
+  getScopeDecorators,
+  getScopeFactory,
+  getSingleton,
+  getVisibleSingletons,
+  hasSingleton,
+  storeResolvedSingletons,
+};
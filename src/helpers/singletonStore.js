@@ -0,0 +1,59 @@
+/**
+ * The resolved singleton items.
+ * Resolves do not change the store until they have finished, so a failed resolve never leaves part of its items
+ * behind.
+ *
+ * @typedef {Object} SingletonStore
+ * @property {function(string): boolean} has - Whether or not the item has been resolved (even to a falsy value).
+ * @property {function(string): *} get - Gets the resolved instance of the item.
+ * @property {function(string, *): SingletonStore} set - Stores the resolved instance of the item. Returns the store.
+ * @property {function(string): SingletonStore} delete - Removes the item from the store. Returns the store.
+ * @property {function(): SingletonStore} copy - Gets a new store with the same items, that can be changed separately.
+ * @property {function(): string[]} names - Gets the names of every resolved item.
+ */
+
+/**
+ * Creates a new singleton store.
+ *
+ * @param {Map<string, *>} [initialSingletons] - The resolved instances by item name. This map is copied.
+ * @returns {SingletonStore}
+ */
+function createSingletonStore(initialSingletons) {
+  const singletons = new Map(initialSingletons);
+
+  const singletonStore = {
+    has(itemName) {
+      return singletons.has(itemName);
+    },
+
+    get(itemName) {
+      return singletons.get(itemName);
+    },
+
+    set(itemName, instance) {
+      singletons.set(itemName, instance);
+
+      return singletonStore;
+    },
+
+    delete(itemName) {
+      singletons.delete(itemName);
+
+      return singletonStore;
+    },
+
+    copy() {
+      return createSingletonStore(singletons);
+    },
+
+    names() {
+      return Array.from(singletons.keys());
+    },
+  };
+
+  return singletonStore;
+}
+
+module.exports = {
+  createSingletonStore,
+};
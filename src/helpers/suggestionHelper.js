@@ -0,0 +1,232 @@
+const lodashIsPlainObject = require('lodash/isPlainObject');
+
+/**
+ * The most suggestions to show in an error.
+ * @const {number}
+ */
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * The part of a name's length that can be changed for another name to still be suggested.
+ * @const {number}
+ */
+const MAX_DISTANCE_RATIO = 3;
+
+/**
+ * The shortest name that is suggested because it contains (or is contained by) the missing name.
+ * @const {number}
+ */
+const MIN_CONTAINED_LENGTH = 3;
+
+/**
+ * The hints that explain why an item or argument could not be found.
+ *
+ * @typedef {Object} MissingHints
+ * @property {string[]} suggestions - The closest names that could have been meant, best first.
+ * @property {string[]} notes - Explanations of where the name was found instead.
+ */
+
+/**
+ * Gets the hints for an item that has not been registered.
+ *
+ * @param {string} itemName
+ * @param {Object<name, DecoratedFactory>} registered
+ * @param {?Object<name, *>} resolveArgs
+ * @returns {MissingHints}
+ */
+function getMissingItemHints(itemName, registered, resolveArgs) {
+  const candidates = [...Object.keys(registered), ...getResolveArgNames(resolveArgs)];
+
+  const placeholderOwners = Object.keys(registered).filter((registeredName) => {
+    const {$inject} = registered[registeredName];
+
+    return Array.isArray($inject) && $inject.some((injectItem) => {
+      return injectItem && injectItem.isPlaceholder && injectItem.name === itemName;
+    });
+  });
+
+  const notes = (placeholderOwners.length)
+    ? [
+      `'${itemName}' is only a placeholder argument of ${formatNameList(placeholderOwners, 'and')}.`
+      + ' Placeholder arguments are given in the resolve arguments and can not be injected.',
+    ]
+    : [];
+
+  return {
+    suggestions: findSuggestions(itemName, candidates),
+    notes,
+  };
+}
+
+/**
+ * Gets the hints for a placeholder argument that was not given in the resolve arguments.
+ *
+ * @param {string} argName
+ * @param {string} itemName - The item that needs the argument.
+ * @param {?Object<name, *>} resolveArgs
+ * @returns {MissingHints}
+ */
+function getMissingResolveArgHints(argName, itemName, resolveArgs) {
+  const safeResolveArgs = getPlainObject(resolveArgs);
+
+  const wrongKeys = Object.keys(safeResolveArgs).filter((argsKey) => {
+    const args = safeResolveArgs[argsKey];
+
+    return argsKey !== itemName && argsKey !== 'common' && lodashIsPlainObject(args)
+      && args[argName] !== undefined;
+  });
+
+  const notes = (wrongKeys.length)
+    ? [
+      `'${argName}' was given for ${formatNameList(wrongKeys, 'and')} in the resolve arguments.`
+      + ` Give it under '${itemName}' or 'common' to use it here.`,
+    ]
+    : [];
+
+  const usableNames = [
+    ...Object.keys(getPlainObject(safeResolveArgs.common)),
+    ...Object.keys(getPlainObject(safeResolveArgs[itemName])),
+  ];
+
+  return {
+    suggestions: findSuggestions(argName, usableNames),
+    notes,
+  };
+}
+
+/**
+ * Formats the hints so they can be added to the end of an error message.
+ *
+ * @param {MissingHints} hints
+ * @returns {string} - An empty string if there are no hints.
+ */
+function formatHints(hints) {
+  const parts = [];
+  if (hints.suggestions.length) {
+    parts.push(`Did you mean ${formatNameList(hints.suggestions, 'or')}?`);
+  }
+
+  hints.notes.forEach((note) => {
+    parts.push(`Note: ${note}`);
+  });
+
+  return parts.map((part) => {
+    return ` ${part}`;
+  }).join('');
+}
+
+/**
+ * Finds the candidate names closest to the name, ranked by how many characters would need to change.
+ * Names that only differ by case, or that contain the name (or are contained by it), are always suggested.
+ *
+ * @param {string} name
+ * @param {string[]} candidates
+ * @returns {string[]}
+ */
+function findSuggestions(name, candidates) {
+  const lowerName = name.toLowerCase();
+  const maxDistance = Math.max(2, Math.floor(name.length / MAX_DISTANCE_RATIO));
+
+  const ranked = Array.from(new Set(candidates)).reduce((matches, candidate) => {
+    if (candidate === name) {
+      return matches;
+    }
+
+    const lowerCandidate = candidate.toLowerCase();
+    const distance = getEditDistance(lowerName, lowerCandidate);
+    const isContained = Math.min(name.length, candidate.length) >= MIN_CONTAINED_LENGTH
+      && (lowerCandidate.indexOf(lowerName) !== -1 || lowerName.indexOf(lowerCandidate) !== -1);
+
+    if (distance <= maxDistance || isContained) {
+      matches.push({candidate, distance});
+    }
+
+    return matches;
+  }, []);
+
+  return ranked.sort((first, second) => {
+    return (first.distance - second.distance) || first.candidate.localeCompare(second.candidate);
+  }).slice(0, MAX_SUGGESTIONS).map(({candidate}) => {
+    return candidate;
+  });
+}
+
+/**
+ * Gets the Levenshtein distance between the two strings.
+ *
+ * @param {string} first
+ * @param {string} second
+ * @returns {number}
+ */
+function getEditDistance(first, second) {
+  let previousRow = Array.from({length: second.length + 1}, (value, index) => {
+    return index;
+  });
+
+  for (let firstIndex = 1; firstIndex <= first.length; firstIndex += 1) {
+    const currentRow = [firstIndex];
+
+    for (let secondIndex = 1; secondIndex <= second.length; secondIndex += 1) {
+      const substitutionCost = (first[firstIndex - 1] === second[secondIndex - 1]) ? 0 : 1;
+
+      currentRow.push(Math.min(
+        previousRow[secondIndex] + 1,
+        currentRow[secondIndex - 1] + 1,
+        previousRow[secondIndex - 1] + substitutionCost
+      ));
+    }
+
+    previousRow = currentRow;
+  }
+
+  return previousRow[second.length];
+}
+
+/**
+ * Gets the names of every argument in the resolve arguments, for every item.
+ *
+ * @param {?Object<name, *>} resolveArgs
+ * @returns {string[]}
+ */
+function getResolveArgNames(resolveArgs) {
+  const safeResolveArgs = getPlainObject(resolveArgs);
+
+  return Object.keys(safeResolveArgs).reduce((argNames, argsKey) => {
+    return [...argNames, ...Object.keys(getPlainObject(safeResolveArgs[argsKey]))];
+  }, []);
+}
+
+/**
+ * Gets the value if it is a plain object, or an empty object if not.
+ *
+ * @param {*} value
+ * @returns {Object}
+ */
+function getPlainObject(value) {
+  return (lodashIsPlainObject(value)) ? value : {};
+}
+
+/**
+ * Formats the names as a quoted list, such as "'a', 'b' or 'c'".
+ *
+ * @param {string[]} names
+ * @param {string} conjunction - The word before the last name.
+ * @returns {string}
+ */
+function formatNameList(names, conjunction) {
+  const quotedNames = names.map((name) => {
+    return `'${name}'`;
+  });
+
+  if (quotedNames.length === 1) {
+    return quotedNames[0];
+  }
+
+  return `${quotedNames.slice(0, -1).join(', ')} ${conjunction} ${quotedNames[quotedNames.length - 1]}`;
+}
+
+module.exports = {
+  formatHints,
+  getMissingItemHints,
+  getMissingResolveArgHints,
+};
@@ -0,0 +1,502 @@
+/**
+ * Type declarations for factory-di.
+ *
+ * Declare the items in the injector as a registry map to have item names checked and resolved items typed:
+ *
+ *   interface Registry {
+ *     cat: Cat;
+ *     trainer: Trainer;
+ *   }
+ *
+ *   const factoryDi = factoryDiFactory<Registry>();
+ *   const cat = factoryDi.resolve('cat'); // Cat
+ *
+ * Without a registry map, any item name can be used and resolved items are `any`.
+ */
+
+declare namespace factoryDiFactory {
+  /**
+   * The items in the injector, by item name.
+   */
+  type Registry = object;
+
+  /**
+   * The registry used when no registry map is given, which allows any item name.
+   */
+  type AnyRegistry = Record<string, any>;
+
+  /**
+   * The names of the items in the registry.
+   */
+  type ItemName<TRegistry extends Registry> = Extract<keyof TRegistry, string>;
+
+  /**
+   * The shape a value must have for a $provides or $expects contract.
+   * A type name (such as 'function'), several type names split by '|', or an object with the shape of each member.
+   * Type names ending in '?' also allow undefined and null.
+   */
+  type ContractShape = string | {[member: string]: ContractShape};
+
+  /**
+   * The decorators that can be set on a factory function.
+   */
+  interface FactoryDecorators {
+    /** The items to inject into the factory, or true to inject its arguments by name (see $placeholders). */
+    $inject?: string[] | true;
+    /** The arguments that are given in the resolve arguments instead of injected. Used if $inject is true. */
+    $placeholders?: string[];
+    /** The arguments that are resolved lazily. Used if $inject is true. */
+    $lazy?: string[];
+    /** Whether or not to resolve this factory only once and always return the same value. */
+    $singleton?: boolean;
+    /** Whether or not to resolve this factory only once per scope. */
+    $scoped?: boolean;
+    /** The path to the factory (usually __filename, or import.meta.url in ES modules). */
+    $filename?: string;
+    /** Whether or not the factory is a class that must be instantiated using `new`. */
+    $asClass?: boolean;
+    /** The tags used to find this item using resolveByTag() or a '#tag' injection. */
+    $tags?: string[];
+    /** Tears down the resolved singleton instance when the injector is disposed. */
+    $dispose?: (instance: any) => void | PromiseLike<void>;
+    /** The shape of the instance the factory makes, checked when it is injected. */
+    $provides?: ContractShape;
+    /** The shape each injected item must have, by injection name. */
+    $expects?: {[injectionName: string]: ContractShape};
+    /** The item name to use when the factory is registered using registerDirectory(). */
+    $name?: string;
+  }
+
+  /**
+   * A factory function (or class) that makes an item.
+   */
+  type Factory<TItem = any> = (
+    ((...args: any[]) => TItem | PromiseLike<TItem>)
+    | (new (...args: any[]) => TItem)
+  ) & FactoryDecorators;
+
+  /**
+   * An ES module namespace object. Its default export is registered, with its named $ exports as decorators.
+   */
+  interface EsModule<TItem = any> extends FactoryDecorators {
+    default: Factory<TItem> | TItem;
+  }
+
+  /**
+   * A factory, or an item that is registered as it is. Functions are always registered as factories.
+   */
+  type FactoryOrItem<TItem = any> = Factory<TItem> | EsModule<TItem> | TItem;
+
+  /**
+   * The register options.
+   */
+  interface RegisterOptions {
+    /** Defines a factory filename path if the given factoryOrItem does not have one. */
+    filename?: string;
+    /** Whether or not to force the function to resolve as a singleton. */
+    forceSingleton?: boolean;
+    /** Whether or not the function is a class (or constructor) that must be run using `new`. */
+    asClass?: boolean;
+    /** Whether or not to ignore errors from missing filename and/or source file. */
+    skipTraceErrors?: boolean;
+    /** The filename path of where register() was called for this item. */
+    registerSourceFile?: string;
+    /** Defines the tags used to find the item using resolveByTag() or a '#tag' injection. */
+    tags?: string[];
+  }
+
+  /**
+   * The arguments for the placeholder arguments of the factories, by item name.
+   * Arguments in `common` are given to every factory.
+   */
+  interface ResolveArgs {
+    common?: {[argName: string]: any};
+    [itemName: string]: {[argName: string]: any} | undefined;
+  }
+
+  /**
+   * The options for resolving an item.
+   */
+  interface ResolveOptions {
+    /** Whether or not to resolve the item to its factory instead of through the factory. */
+    asFactory?: boolean;
+  }
+
+  /**
+   * The options for clearing singletons.
+   */
+  interface ClearOptions {
+    /** Whether or not to run the disposers of the singletons being cleared. */
+    dispose?: boolean;
+  }
+
+  /**
+   * The options for registering every module in a directory.
+   */
+  interface DirectoryOptions extends RegisterOptions {
+    /**
+     * The glob (or regexp) the module paths must match, relative to the directory.
+     * Defaults to '*.js', without test modules ('*.test.js', '*.spec.js' and anything in a '__tests__' directory).
+     */
+    pattern?: string | RegExp;
+    /** Gets the item name from the file name (without its extension) and the module path. */
+    naming?: (fileName: string, filePath: string) => string;
+    /** Whether or not to also look in the directories inside the directory. */
+    recursive?: boolean;
+  }
+
+  /**
+   * The definition of an environment variable.
+   */
+  interface EnvVariable {
+    /** The item name to register the value as. */
+    name: string;
+    /** Overrides the coerce option. */
+    type?: 'string' | 'number' | 'boolean' | 'json';
+    /** Whether or not the variable must be set. Defaults to true unless there is a default. */
+    required?: boolean;
+    /** The value to use if the variable is not set. */
+    default?: any;
+  }
+
+  /**
+   * The options for registering environment variables.
+   */
+  interface EnvOptions extends RegisterOptions {
+    /**
+     * True to convert values that look like numbers, booleans or JSON, or a function that converts each value.
+     * Numbers are only converted when they are written the way JavaScript writes them, so '0123' stays a string.
+     */
+    coerce?: boolean | ((value: string, variableName: string) => any);
+    /** The environment variables to read from. Defaults to process.env. */
+    env?: {[variableName: string]: string | undefined};
+  }
+
+  /**
+   * Describes the item being decorated.
+   */
+  interface DecoratorContext {
+    itemName: string;
+    filename: string | null;
+    history: string[];
+  }
+
+  /**
+   * Describes a method call on an intercepted item.
+   */
+  interface MethodInvocation {
+    itemName: string;
+    methodName: string;
+    args: any[];
+  }
+
+  /**
+   * The handlers that run around every method call on an intercepted item.
+   */
+  interface InterceptHandlers {
+    before?: (invocation: MethodInvocation) => void;
+    after?: (invocation: MethodInvocation, result: any) => void;
+    around?: (invocation: MethodInvocation, proceed: (newArgs?: any[]) => any) => any;
+    onError?: (invocation: MethodInvocation, error: any) => void;
+  }
+
+  /**
+   * The names of the events the injector emits.
+   */
+  type EventName = 'beforeResolve' | 'afterResolve' | 'register' | 'error';
+
+  /**
+   * The data sent to the event handlers. Times are in milliseconds.
+   */
+  interface ResolveEvent {
+    itemName: string;
+    depth?: number;
+    history?: string[];
+    cacheHit?: boolean;
+    startTime?: number;
+    duration?: number;
+    factoryDuration?: number;
+    error?: any;
+    factory?: Factory;
+  }
+
+  /**
+   * The time spent resolving an item, with the items resolved to inject into it.
+   */
+  interface TimingNode {
+    itemName: string;
+    history: string[];
+    startTime: number;
+    duration: number | null;
+    factoryDuration: number | null;
+    cacheHit: boolean;
+    error: any;
+    children: TimingNode[];
+  }
+
+  /**
+   * The result of profiling the injector.
+   */
+  interface ResolveProfile<TResult> {
+    result: TResult;
+    items: TimingNode[];
+    toChromeTrace(): string;
+  }
+
+  /**
+   * The report of every problem found in the dependency graph.
+   */
+  interface ValidationReport {
+    isValid: boolean;
+    missing: Array<{itemName: string, dependencyName: string}>;
+    cycles: string[][];
+    placeholders: Array<{itemName: string, placeholderName: string, singletonName: string}>;
+    messages: string[];
+    /** Describes the captured placeholders, which do not make the report invalid. */
+    warnings: string[];
+  }
+
+  /**
+   * An item in the dependency graph.
+   */
+  interface GraphNode {
+    name: string;
+    isRegistered: boolean;
+    isTag: boolean;
+    isSingleton: boolean;
+    isScoped: boolean;
+    aliasOf: string | null;
+    filename: string | null;
+    registerSourceFile: string | null;
+    tags: string[];
+    placeholders: Array<{name: string, isOptional: boolean}>;
+  }
+
+  /**
+   * A dependency in the dependency graph.
+   */
+  interface GraphEdge {
+    from: string;
+    to: string;
+    isOptional: boolean;
+    isLazy: boolean;
+    asFactory: boolean;
+  }
+
+  /**
+   * The dependency graph of every registered item.
+   */
+  interface DependencyGraph {
+    nodes: GraphNode[];
+    edges: GraphEdge[];
+  }
+
+  /**
+   * The value resolveAsync() settles to.
+   */
+  type Settled<TItem> = TItem extends PromiseLike<infer TValue> ? TValue : TItem;
+
+  /**
+   * The factory dependency injection object.
+   */
+  interface FactoryDi<TRegistry extends Registry = AnyRegistry> {
+    register<TName extends ItemName<TRegistry>>(
+      itemName: TName,
+      factoryOrItem: FactoryOrItem<TRegistry[TName]>,
+      options?: RegisterOptions
+    ): void;
+    registerMulti(collectionName: string, factoryOrItem: FactoryOrItem, options?: RegisterOptions & {order?: number}): string;
+    registerDirectory(directory: string, options?: DirectoryOptions): string[];
+    registerConfig(config: object, options?: RegisterOptions & {prefix?: string}): string[];
+    registerEnv(variables: {[variableName: string]: string | EnvVariable}, options?: EnvOptions): string[];
+    alias(aliasName: ItemName<TRegistry>, targetName: ItemName<TRegistry>, options?: RegisterOptions): void;
+
+    decorate<TName extends ItemName<TRegistry>>(
+      itemName: TName,
+      decorator: (instance: TRegistry[TName], context: DecoratorContext) => TRegistry[TName]
+    ): void;
+    decorate(pattern: RegExp, decorator: (instance: any, context: DecoratorContext) => any): void;
+    intercept(nameOrPattern: ItemName<TRegistry> | RegExp, handlers: InterceptHandlers): () => void;
+
+    override<TName extends ItemName<TRegistry>>(
+      itemName: TName,
+      factoryOrItem: FactoryOrItem<TRegistry[TName]>,
+      options?: RegisterOptions
+    ): () => void;
+    withOverrides<TResult>(
+      overrides: {[TName in ItemName<TRegistry>]?: FactoryOrItem<TRegistry[TName]>},
+      action: () => TResult
+    ): TResult;
+
+    resolve<TName extends ItemName<TRegistry>>(
+      itemName: TName,
+      resolveArgs: ResolveArgs | null | undefined,
+      options: ResolveOptions & {asFactory: true}
+    ): (...placeholderArgs: any[]) => TRegistry[TName];
+    resolve<TName extends ItemName<TRegistry>>(
+      itemName: TName,
+      resolveArgs?: ResolveArgs | null,
+      options?: ResolveOptions
+    ): TRegistry[TName];
+    resolveAsync<TName extends ItemName<TRegistry>>(
+      itemName: TName,
+      resolveArgs: ResolveArgs | null | undefined,
+      options: ResolveOptions & {asFactory: true}
+    ): Promise<(...placeholderArgs: any[]) => TRegistry[TName]>;
+    resolveAsync<TName extends ItemName<TRegistry>>(
+      itemName: TName,
+      resolveArgs?: ResolveArgs | null,
+      options?: ResolveOptions
+    ): Promise<Settled<TRegistry[TName]>>;
+    resolveByTag(tag: string, resolveArgs?: ResolveArgs | null): {[itemName: string]: any};
+
+    on(eventName: EventName, handler: (resolveEvent: ResolveEvent) => void): () => void;
+    profile<TResult>(action: () => PromiseLike<TResult>): Promise<ResolveProfile<TResult>>;
+    profile<TResult>(action: () => TResult): ResolveProfile<TResult>;
+
+    setRegisterSource(registerSourceFile: string | null): string | null;
+    setAutoRegisterSource(autoRegisterSource: boolean): void;
+    setSkipTraceErrors(skipTraceErrors: boolean): void;
+    setSkipContractChecks(skipContractChecks: boolean): void;
+
+    isResolved(itemName: ItemName<TRegistry>): boolean;
+    clearSingleton(itemName: ItemName<TRegistry>, options?: ClearOptions): string[];
+    clearSingletons(options?: ClearOptions): void;
+    dispose(): void;
+    disposeAsync(): Promise<void>;
+
+    createScope<TScopeRegistry extends Registry = TRegistry>(): FactoryDi<TScopeRegistry>;
+    clone(options?: {keepSingletons?: boolean}): FactoryDi<TRegistry>;
+
+    validate(options?: {throwIfInvalid?: boolean}): ValidationReport;
+    getGraph(): DependencyGraph;
+    exportGraph(format: 'dot' | 'mermaid' | 'json'): string;
+  }
+
+  /**
+   * The stable codes of the injector errors.
+   */
+  const ERROR_CODES: {
+    NOT_REGISTERED: 'FACTORY_DI_NOT_REGISTERED';
+    CYCLIC_DEPENDENCY: 'FACTORY_DI_CYCLIC_DEPENDENCY';
+    MISSING_RESOLVE_ARG: 'FACTORY_DI_MISSING_RESOLVE_ARG';
+    INVALID_INJECT: 'FACTORY_DI_INVALID_INJECT';
+    FACTORY_THREW: 'FACTORY_DI_FACTORY_THREW';
+    CONTRACT_MISMATCH: 'FACTORY_DI_CONTRACT_MISMATCH';
+    SINGLETON_PENDING: 'FACTORY_DI_SINGLETON_PENDING';
+  };
+
+  /**
+   * An item in the resolve history of an error.
+   */
+  interface HistoryRecord {
+    name: string;
+    filepath: string | null;
+    registerSource: string | null;
+    aliasOf?: string;
+    notFound?: boolean;
+  }
+
+  /**
+   * The structured details of an injector error.
+   */
+  interface ErrorDetails {
+    itemName?: string;
+    history?: HistoryRecord[];
+    cause?: any;
+    suggestions?: string[];
+  }
+
+  /**
+   * The base class of the injector errors.
+   */
+  class FactoryDiError extends Error {
+    constructor(message: string, details?: ErrorDetails, code?: string);
+    code: string | null;
+    itemName: string | null;
+    history: HistoryRecord[];
+    codeStack: string;
+    cause?: any;
+    suggestions?: string[];
+  }
+
+  class NotRegisteredError extends FactoryDiError {
+    constructor(message: string, details?: ErrorDetails);
+  }
+
+  class CyclicDependencyError extends FactoryDiError {
+    constructor(message: string, details?: ErrorDetails);
+  }
+
+  class MissingResolveArgError extends FactoryDiError {
+    constructor(message: string, details?: ErrorDetails, argName?: string);
+    argName: string | null;
+  }
+
+  class InvalidInjectError extends FactoryDiError {
+    constructor(message: string, details?: ErrorDetails);
+  }
+
+  class FactoryThrewError extends FactoryDiError {
+    constructor(message: string, details?: ErrorDetails);
+  }
+
+  /**
+   * A member of the injected item that does not match the contract.
+   */
+  interface ContractMismatch {
+    member: string;
+    expected: string;
+    actual: string;
+    declaredBy: '$provides' | '$expects';
+  }
+
+  class ContractMismatchError extends FactoryDiError {
+    constructor(
+      message: string,
+      details?: ErrorDetails,
+      contract?: {consumerName: string, providerName: string, mismatches: ContractMismatch[]}
+    );
+    consumerName: string | null;
+    providerName: string | null;
+    mismatches: ContractMismatch[];
+  }
+
+  class SingletonPendingError extends FactoryDiError {
+    constructor(message: string, details?: ErrorDetails);
+  }
+
+  class DisposeError extends FactoryDiError {
+    constructor(message: string, details?: ErrorDetails, disposeErrors?: Array<{itemName: string, error: any}>);
+    errors: any[];
+    itemNames: string[];
+  }
+
+  class ValidationError extends FactoryDiError {
+    constructor(message: string, details?: ErrorDetails, report?: ValidationReport);
+    report: ValidationReport | null;
+  }
+
+  class EnvError extends FactoryDiError {
+    constructor(
+      message: string,
+      details?: ErrorDetails,
+      variables?: {missingVariables: string[], invalidVariables: string[]}
+    );
+    missingVariables: string[];
+    invalidVariables: string[];
+  }
+
+  /**
+   * Renders the error with its resolve path, its code stack and any errors that caused it.
+   */
+  function formatError(error: any): string;
+}
+
+/**
+ * Creates a new factory dependency injection object.
+ */
+declare function factoryDiFactory<TRegistry extends factoryDiFactory.Registry = factoryDiFactory.AnyRegistry>(
+): factoryDiFactory.FactoryDi<TRegistry>;
+
+export = factoryDiFactory;
@@ -1,14 +1,61 @@
+const path = require('path');
+
+const lodashOmit = require('lodash/omit');
+const lodashPick = require('lodash/pick');
+
 const {registerFactory} = require('./registration');
-const {resolveFactory} = require('./resolver');
-const {runFactory} = require('./runner');
+const {buildCollectionFactory, resolveFactory} = require('./resolver');
+const {resolveFactoryAsync} = require('./asyncResolver');
+const {runFactory, runFactoryAsync} = require('./runner');
+const {disposeSingletons, disposeSingletonsAsync, getAliasTarget} = require('./disposer');
+const {buildGraph, getDependentNames, serializeGraph} = require('./graph');
+const {findNameCollisions, loadDirectoryModules} = require('./directoryLoader');
+const {flattenConfig, readEnvVariables} = require('./configLoader');
+const {assertValidHandlers, buildInterceptDecorator} = require('./interceptor');
+const {assertValidListener, emitError} = require('./tracer');
+const {createProfiler} = require('./profiler');
+const {
+  ERROR_CODES,
+  ContractMismatchError,
+  CyclicDependencyError,
+  DisposeError,
+  EnvError,
+  FactoryDiError,
+  FactoryThrewError,
+  InvalidInjectError,
+  MissingResolveArgError,
+  NotRegisteredError,
+  SingletonPendingError,
+  ValidationError,
+  formatError,
+} = require('./errors');
+const {buildValidationError, validateGraph} = require('./validator');
+const {
+  createResolveContext,
+  findItemOwner,
+  getAllRegistered,
+  getScopeFactory,
+  getVisibleSingletons,
+  storeResolvedSingletons,
+} = require('./helpers/scopeHelper');
+const {captureCallerSource} = require('./helpers/callSiteHelper');
+const {getLastItemName} = require('./helpers/historyHelper');
+const {shareFunctionSignature} = require('./helpers/argumentParser');
+const {getModuleFactory, normalizeFilePath} = require('./helpers/moduleHelper');
+const {createSingletonStore} = require('./helpers/singletonStore');
+const {TAG_PREFIX} = require('./injector');
 
 /**
  * The injector state.
  *
  * @typedef {Object} InjectorState
  * @property {Object<name, DecoratedFactory>} registered - The map of registered factories.
- * @property {Object<name, *>} singletons - The map of resolved singleton items.
+ * @property {SingletonStore} singletons - The resolved singleton items.
  * @property {{registerSourceFile: ?string}} meta - The injector meta data.
+ * @property {Object<name, Promise>} singletonPromises - The singleton items that have started resolving asynchronously.
+ * @property {DecoratorEntry[]} decorators - The decorators applied to resolved instances, in registration order.
+ * @property {Object<string, Array<function(ResolveEvent)>>} listeners - The event handlers by event name.
+ * @property {?InjectorState} parent - The injector state of the parent scope.
  */
 
 /**
@@ -17,9 +64,30 @@ const {runFactory} = require('./runner');
  * @typedef {Object} RegisterOptions
  * @property {string} [filename] - Defines a factory filename path if the given factoryOrItem does not have one.
  * @property {boolean} [forceSingleton] - Whether or not to force the function to resolve as a singleton.
+ * @property {boolean} [asClass] - Whether or not the function is a class (or constructor) that must be run using `new`.
  * @property {boolean} [skipTraceErrors] - Whether or not to ignore errors from missing filename and/or source file.
  * @property {string} [registerSourceFile] - The filename path of where register() was called for this item.
+ * @property {string[]} [tags] - Defines the tags used to find the item using resolveByTag() or a '#tag' injection.
+ */
+
+/**
+ * The items used to build a new injector state.
+ *
+ * @typedef {Object} InitialInjectorState
+ * @property {Object<name, DecoratedFactory>} registered - The map of registered factories.
+ * @property {SingletonStore} singletons - The resolved singleton items.
+ * @property {{}} meta - The injector meta data.
+ * @property {DecoratorEntry[]} decorators - The decorators applied to resolved instances, in registration order.
+ * @property {Object<string, Array<function(ResolveEvent)>>} listeners - The event handlers by event name.
+ * @property {?InjectorState} parent - The injector state of the parent scope.
+ */
+
+/**
+ * How many items have been added to collections, used to give each contribution its own id.
+ *
+ * @type {number}
  */
+let contributionCount = 0;
 
 /**
  * Creates a new factory dependency injection object.
@@ -27,26 +95,59 @@ const {runFactory} = require('./runner');
  * @returns {{}}
  */
 function factoryDiFactory() {
+  return buildFactoryDi({
+    registered: {},
+    singletons: createSingletonStore(),
+    meta: {},
+    decorators: [],
+    listeners: {},
+    parent: null,
+  });
+}
+
+/**
+ * Builds a factory dependency injection object that starts with the given state.
+ *
+ * @param {InitialInjectorState} initialState
+ * @returns {{}}
+ */
+function buildFactoryDi(initialState) {
   /**
    * The map of registered items.
+   * Registering always builds a new map, so this can be shared with a cloned injector.
    *
    * @type {{}}
    */
-  const registered = {};
+  const registered = initialState.registered;
 
   /**
    * Already resolved items that need to only resolve once.
    *
-   * @type {{}}
+   * @type {SingletonStore}
    */
-  const singletons = {};
+  const singletons = initialState.singletons;
 
   /**
    * The injector meta data.
    *
    * @type {{}}
    */
-  const meta = {};
+  const meta = initialState.meta;
+
+  /**
+   * Singleton items that have started resolving asynchronously.
+   * This allows concurrent async resolves to share one singleton instead of each running its factory.
+   *
+   * @type {Object<name, Promise>}
+   */
+  const singletonPromises = {};
+
+  /**
+   * How many times the singletons have been cleared, so restoring an override knows whether they were cleared since.
+   *
+   * @type {number}
+   */
+  let singletonClearCount = 0;
 
   /**
    * The injector data that defines the state of the injector.
@@ -57,6 +158,10 @@ function factoryDiFactory() {
     registered,
     singletons,
     meta,
+    singletonPromises,
+    decorators: initialState.decorators,
+    listeners: initialState.listeners,
+    parent: initialState.parent,
   };
 
   /**
@@ -66,10 +171,34 @@ function factoryDiFactory() {
    */
   const factoryDi = {
     register,
+    registerMulti,
+    registerDirectory,
+    registerConfig,
+    registerEnv,
+    alias,
+    decorate,
+    intercept,
+    override,
+    withOverrides,
     resolve,
+    resolveAsync,
+    resolveByTag,
+    on,
+    profile,
     setRegisterSource,
+    setAutoRegisterSource,
     setSkipTraceErrors,
+    setSkipContractChecks,
+    isResolved,
+    clearSingleton,
     clearSingletons,
+    dispose,
+    disposeAsync,
+    createScope,
+    clone,
+    validate,
+    getGraph,
+    exportGraph,
   };
   factoryDi.$filename = __filename;
 
@@ -99,28 +228,344 @@ function factoryDiFactory() {
       throw new Error('FactoryDI Register Error: The given item name is not a string.');
     }
 
-    // Assume any functions given are factories.
-    let safeFactory = factoryOrItem;
+    const {state} = registerFactory(injectorState, itemName, toFactory(factoryOrItem), options || {});
 
-    if (typeof factoryOrItem !== 'function') {
-      // Wrap non-functions in a factory.
-      const itemFactory = function itemFactory() {
-        return factoryOrItem;
-      };
-      itemFactory.$singleton = true;
+    updateInjectorState(state);
+  }
 
-      if (factoryOrItem && factoryOrItem.$filename) {
-        itemFactory.$filename = factoryOrItem.$filename;
-      }
+  /**
+   * Registers an item as one of the contributions to a collection.
+   * Injecting the collection using `'collectionName[]'` will inject a list of every contribution, sorted by their order
+   * and then by when they were registered.
+   *
+   * @param {string} collectionName
+   * @param {DecoratedFactory|*} factoryOrItem
+   * @param {RegisterOptions} [options]
+   * @param {number} [options.order] - The position of the contribution in the collection (lowest first).
+   * @returns {string} - The unique item name the contribution is registered as.
+   * @throws {Error} - On invalid collection name.
+   */
+  function registerMulti(collectionName, factoryOrItem, options) {
+    if (!collectionName) {
+      throw new Error('FactoryDI Register Error: No collection name given.');
+    } else if (typeof collectionName !== 'string') {
+      throw new Error('FactoryDI Register Error: The given collection name is not a string.');
+    }
+
+    const safeOptions = options || {};
+    const collectionItemName = `${collectionName}[]`;
+
+    // The id is unique across every injector, so the contributions of a scope and its parents never share a name.
+    contributionCount += 1;
+    const contribution = {
+      name: `${collectionName}[${contributionCount}]`,
+      order: Number(safeOptions.order) || 0,
+      index: contributionCount,
+    };
+
+    // Each contribution is registered as its own item, so it keeps its own singleton and placeholder arguments.
+    register(contribution.name, factoryOrItem, safeOptions);
+
+    // Each scope only keeps its own contributions. The contributions of its parents are added when it is resolved.
+    const existingCollection = injectorState.registered[collectionItemName];
+    const existingContributions = (existingCollection && existingCollection.$$contributions) || [];
+
+    const {state} = registerFactory(
+      injectorState,
+      collectionItemName,
+      buildCollectionFactory([...existingContributions, contribution]),
+      lodashPick(safeOptions, ['registerSourceFile', 'skipTraceErrors'])
+    );
+
+    updateInjectorState(state);
+
+    return contribution.name;
+  }
+
+  /**
+   * Registers the export of every module in the directory that matches the pattern.
+   * The item names come from the exported $name or else from the file names ('catFactory.js' becomes 'cat').
+   * Every name is checked for collisions before any of the modules are registered.
+   *
+   * @param {string} directory - The path to the directory (relative paths are resolved from the working directory).
+   * @param {DirectoryOptions} [options]
+   * @returns {string[]} - The names of the registered items.
+   * @throws {Error} - On invalid directory, or if any of the item names collide.
+   */
+  function registerDirectory(directory, options) {
+    if (!directory) {
+      throw new Error('FactoryDI Register Error: No directory given.');
+    } else if (typeof directory !== 'string') {
+      throw new Error('FactoryDI Register Error: The given directory is not a string.');
+    }
+
+    const safeOptions = options || {};
+    const directoryPath = path.resolve(directory);
+
+    const directoryModules = loadDirectoryModules(directoryPath, safeOptions);
+
+    // Items of the parent scopes would be shadowed without an error, so they count as collisions too.
+    const collisions = findNameCollisions(directoryModules, getAllRegistered(injectorState));
+    if (collisions.length) {
+      throw new Error(
+        `FactoryDI Register Error: Found item name collisions in '${directoryPath}': ${collisions.join('; ')}.`
+      );
+    }
+
+    // Without a register source, the directory is registered from the file that called registerDirectory().
+    const registerSourceFile = safeOptions.registerSourceFile || injectorState.meta.registerSourceFile
+      || getCallerFilename();
+
+    return directoryModules.map(({itemName, filePath, factoryOrItem}) => {
+      // Use the path of the module if it does not define its own $filename.
+      register(itemName, factoryOrItem, {
+        registerSourceFile,
+        filename: (factoryOrItem && factoryOrItem.$filename) ? undefined : filePath,
+        skipTraceErrors: safeOptions.skipTraceErrors,
+      });
+
+      return itemName;
+    });
+  }
+
+  /**
+   * Registers every value in the config object, using dotted item names for nested values.
+   * For example, `{db: {host: 'localhost'}}` registers 'db' as the whole section and 'db.host' as 'localhost'.
+   * Functions in the config are registered as values, not factories.
+   *
+   * @param {Object<string, *>} config
+   * @param {RegisterOptions} [options]
+   * @param {string} [options.prefix] - The name to put before every item name ('config' registers 'config.db.host').
+   * @returns {string[]} - The names of the registered items.
+   * @throws {Error} - On invalid config.
+   */
+  function registerConfig(config, options) {
+    if (!config || typeof config !== 'object') {
+      throw new Error('FactoryDI Register Error: The given config is not an object.');
+    }
+
+    const safeOptions = options || {};
 
-      safeFactory = itemFactory;
+    const configValues = flattenConfig(config, safeOptions.prefix);
+    if (safeOptions.prefix) {
+      configValues.unshift({itemName: safeOptions.prefix, value: config});
     }
 
-    const {state} = registerFactory(injectorState, itemName, safeFactory, options || {});
+    return registerValues(configValues, lodashOmit(safeOptions, 'prefix'));
+  }
+
+  /**
+   * Registers the values of the environment variables.
+   * Every variable is checked before any are registered, so all the missing required variables are found at once.
+   *
+   * @param {Object<string, string|EnvVariable>} variables - The item names (or definitions) by variable name.
+   *        For example, `{DB_HOST: 'db.host', DB_PORT: {name: 'db.port', type: 'number', default: 5432}}`.
+   * @param {EnvOptions|RegisterOptions} [options]
+   * @returns {string[]} - The names of the registered items.
+   * @throws {Error} - On invalid variables, or if any required variables are missing or any values are invalid.
+   */
+  function registerEnv(variables, options) {
+    if (!variables || typeof variables !== 'object') {
+      throw new Error('FactoryDI Register Error: The given environment variables are not an object.');
+    }
+
+    const safeOptions = options || {};
+
+    return registerValues(readEnvVariables(variables, safeOptions), lodashOmit(safeOptions, ['env', 'coerce']));
+  }
+
+  /**
+   * Registers each of the values as a singleton item.
+   *
+   * @param {ConfigValue[]} configValues
+   * @param {RegisterOptions} options
+   * @returns {string[]} - The names of the registered items.
+   */
+  function registerValues(configValues, options) {
+    return configValues.map(({itemName, value}) => {
+      register(itemName, buildItemFactory(value), options);
+      return itemName;
+    });
+  }
+
+  /**
+   * Registers an alias that resolves to another item in the injector.
+   * The alias shares the singleton of the item it points to, and can point to another alias.
+   *
+   * @param {string} aliasName
+   * @param {string} targetName - The name of the item the alias resolves to.
+   * @param {RegisterOptions} [options]
+   * @throws {Error} - On invalid alias or target name.
+   */
+  function alias(aliasName, targetName, options) {
+    if (!aliasName || !targetName) {
+      throw new Error('FactoryDI Register Error: No alias or target name given.');
+    } else if (typeof aliasName !== 'string' || typeof targetName !== 'string') {
+      throw new Error('FactoryDI Register Error: The given alias or target name is not a string.');
+    }
+
+    const aliasFactory = function aliasFactory() {
+      throw new Error(`FactoryDI Resolve Error: The alias '${aliasName}' can not be run directly.`);
+    };
+    aliasFactory.$$aliasOf = targetName;
+
+    const {state} = registerFactory(injectorState, aliasName, aliasFactory, options || {});
 
     updateInjectorState(state);
   }
 
+  /**
+   * Registers a decorator that wraps or replaces the instances of the matching items after their factories run.
+   * Decorators are applied in the order they were registered, and singletons are cached as the decorated instance.
+   * Singletons that have already been resolved are not decorated.
+   *
+   * @param {string|RegExp} nameOrRegexp - The item name, or a regexp that the item names must match.
+   * @param {InstanceDecorator} decorator
+   * @throws {Error} - On invalid item name or decorator.
+   */
+  function decorate(nameOrRegexp, decorator) {
+    if (!nameOrRegexp) {
+      throw new Error('FactoryDI Decorate Error: No item name given.');
+    } else if (typeof nameOrRegexp !== 'string' && !(nameOrRegexp instanceof RegExp)) {
+      throw new Error('FactoryDI Decorate Error: The given item name is not a string or regexp.');
+    } else if (typeof decorator !== 'function') {
+      throw new Error('FactoryDI Decorate Error: The given decorator is not a function.');
+    }
+
+    injectorState.decorators = [...injectorState.decorators, {matcher: nameOrRegexp, decorator}];
+  }
+
+  /**
+   * Intercepts every method call on the instances of the matching items, by wrapping them in a Proxy.
+   * The handlers get the item name, method name and arguments of each call, and async methods are handled once
+   * they settle.
+   *
+   * @param {string|RegExp} nameOrRegexp - The item name, or a regexp that the item names must match.
+   * @param {InterceptHandlers} handlers
+   * @returns {function()} - Removes the interceptor. Instances that were already resolved stop calling the handlers.
+   * @throws {Error} - On invalid item name or handlers.
+   */
+  function intercept(nameOrRegexp, handlers) {
+    if (!nameOrRegexp) {
+      throw new Error('FactoryDI Intercept Error: No item name given.');
+    } else if (typeof nameOrRegexp !== 'string' && !(nameOrRegexp instanceof RegExp)) {
+      throw new Error('FactoryDI Intercept Error: The given item name is not a string or regexp.');
+    }
+
+    assertValidHandlers(handlers);
+
+    let isEnabled = true;
+
+    const decoratorEntry = {
+      matcher: nameOrRegexp,
+      decorator: buildInterceptDecorator({...handlers}, () => {
+        return isEnabled;
+      }),
+    };
+
+    injectorState.decorators = [...injectorState.decorators, decoratorEntry];
+
+    return function remove() {
+      isEnabled = false;
+
+      injectorState.decorators = injectorState.decorators.filter((entry) => {
+        return entry !== decoratorEntry;
+      });
+    };
+  }
+
+  /**
+   * Temporarily replaces the registered item, usually with a fake for testing.
+   * Every singleton that depends on the item is cleared so it will be resolved again using the override.
+   * Overrides do not need a register source, since they are not meant to be used outside of tests.
+   * The override keeps the $tags and $scoped of the original item, unless it (or the options) defines its own.
+   * The given factory is wrapped, so registering the override never changes it.
+   *
+   * @param {string} itemName
+   * @param {DecoratedFactory|*} factoryOrItem
+   * @param {RegisterOptions} [options]
+   * @returns {function()} - Restores the original registration and singletons (unless the singletons were cleared
+   *                         since).
+   * @throws {Error} - On invalid item name.
+   */
+  function override(itemName, factoryOrItem, options) {
+    if (!itemName) {
+      throw new Error('FactoryDI Override Error: No item name given.');
+    } else if (typeof itemName !== 'string') {
+      throw new Error('FactoryDI Override Error: The given item name is not a string.');
+    }
+
+    const hadRegistration = Object.prototype.hasOwnProperty.call(injectorState.registered, itemName);
+    const originalFactory = injectorState.registered[itemName];
+
+    // The original may be registered in a parent scope, and the override should still be found by its tags.
+    const inheritedFactory = getScopeFactory(injectorState, itemName);
+    const overrideFactory = buildOverrideFactory(toFactory(factoryOrItem), inheritedFactory);
+
+    const originalSingletons = clearDependentSingletons(itemName);
+    const clearCountAtOverride = singletonClearCount;
+
+    register(itemName, overrideFactory, {skipTraceErrors: true, ...options});
+
+    let isRestored = false;
+
+    return function restore() {
+      if (isRestored) {
+        return;
+      }
+      isRestored = true;
+
+      // Singletons resolved using the override must not be kept.
+      clearDependentSingletons(itemName);
+
+      const restoredRegistered = (hadRegistration)
+        ? {...injectorState.registered, [itemName]: originalFactory}
+        : lodashOmit(injectorState.registered, itemName);
+
+      updateInjectorState({...injectorState, registered: restoredRegistered});
+
+      // Singletons that were cleared since the override was applied must stay cleared.
+      if (clearCountAtOverride !== singletonClearCount) {
+        return;
+      }
+
+      originalSingletons.forEach(({clearedName, singleton, ownerState}) => {
+        if (!ownerState.singletons.has(clearedName)) {
+          ownerState.singletons.set(clearedName, singleton);
+        }
+      });
+    };
+  }
+
+  /**
+   * Overrides the given items while running the action, then restores them once it is finished.
+   * If the action returns a Promise, the items are restored once it settles.
+   *
+   * @param {Object<name, DecoratedFactory|*>} overrides - The factories or items to use, by item name.
+   * @param {function(): *} action
+   * @returns {*} - The value returned by the action.
+   * @throws {Error} - If any of the overrides or the action throws.
+   */
+  function withOverrides(overrides, action) {
+    const restores = [];
+
+    const restoreAll = () => {
+      // Restore in reverse order so items overridden more than once end with their original registration.
+      restores.reverse().forEach((restore) => {
+        restore();
+      });
+    };
+
+    return runThenCleanUp(() => {
+      // Overriding happens inside the action, so the items already overridden are restored if a later override throws.
+      Object.keys(overrides || {}).forEach((itemName) => {
+        restores.push(override(itemName, overrides[itemName]));
+      });
+
+      return action();
+    }, restoreAll);
+  }
+
   /**
    * Gets the item from the injector with all of its dependencies fulfilled.
    *
@@ -141,32 +586,213 @@ function factoryDiFactory() {
 
     const safeOptions = options || {};
 
-    const {resolvedFactory, state, history} = resolveFactory(injectorState, itemName, resolveArgs);
+    return resolveWithHistory(injectorState, itemName, resolveArgs, [], {asFactory: safeOptions.asFactory});
+  }
 
-    updateInjectorState(state);
+  /**
+   * Gets every item registered with the given tag.
+   *
+   * @param {string} tag
+   * @param {{}} [resolveArgs] - The arguments for all dependencies that do not exist in the injector.
+   * @returns {Object<name, *>} - The map of item names to resolved items.
+   * @throws {Error} - On invalid tag.
+   */
+  function resolveByTag(tag, resolveArgs) {
+    if (!tag) {
+      throw new Error('FactoryDI Resolve Error: No tag given.');
+    } else if (typeof tag !== 'string') {
+      throw new Error('FactoryDI Resolve Error: The given tag is not a string.');
+    }
 
-    if (safeOptions.asFactory) {
-      return resolvedFactory;
+    return resolveWithHistory(injectorState, `${TAG_PREFIX}${tag}`, resolveArgs, [], {});
+  }
+
+  /**
+   * Resolves the item in the given scope as a continuation of the given resolve history.
+   * This is also used to resolve lazy dependencies when they are first used.
+   *
+   * @param {InjectorState} scopeState - The state of this injector, or of the parent scope that owns the item that
+   *                                     injected the lazy dependency.
+   * @param {string} itemName
+   * @param {{}} resolveArgs
+   * @param {Array<{}>} resolveHistory
+   * @param {{isOptional: boolean, asFactory: boolean}} options
+   * @returns {*}
+   */
+  function resolveWithHistory(scopeState, itemName, resolveArgs, resolveHistory, options) {
+    const context = createResolveContext(scopeState);
+
+    try {
+      const {resolvedFactory, history} = resolveFactory(
+        context,
+        itemName,
+        resolveArgs,
+        resolveHistory,
+        {isOptional: options.isOptional, resolveLazy: resolveWithHistory}
+      );
+
+      storeResolvedSingletons(context.session);
+
+      if (options.asFactory) {
+        return resolvedFactory;
+      }
+
+      return runFactory(resolvedFactory, resolveArgs, getLastItemName(history), history);
+    } catch (resolveError) {
+      emitError(scopeState, {itemName, error: resolveError});
+      throw resolveError;
     }
+  }
 
-    return runFactory(resolvedFactory, resolveArgs, itemName, history);
+  /**
+   * Gets the item from the injector, waiting for any asynchronous factories in its dependency tree to settle.
+   *
+   * @param {string} itemName
+   * @param {{}} [resolveArgs] - The arguments for all dependencies that do not exist in the injector.
+   * @param {{}} [options]
+   * @param {boolean} [options.asFactory] - Whether or not to resolve the item to its factory instead of through
+   *                                        the factory.
+   * @returns {Promise<*>}
+   * @throws {Error} - On invalid item name.
+   */
+  async function resolveAsync(itemName, resolveArgs, options) {
+    if (!itemName) {
+      throw new Error('FactoryDI Register Error: No item name given.');
+    } else if (typeof itemName !== 'string') {
+      throw new Error('FactoryDI Register Error: The given item name is not a string.');
+    }
+
+    const safeOptions = options || {};
+
+    return resolveWithHistoryAsync(injectorState, itemName, resolveArgs, null, {asFactory: safeOptions.asFactory});
+  }
+
+  /**
+   * Resolves the item in the given scope as a continuation of the given resolve history, waiting for any
+   * asynchronous factories in its dependency tree to settle.
+   * This is also used to resolve lazy dependencies of async resolves, so they wait for async factories (and for
+   * singletons that are still resolving) the same way as the other dependencies.
+   *
+   * @param {InjectorState} scopeState - The state of this injector, or of the parent scope that owns the item that
+   *                                     injected the lazy dependency.
+   * @param {string} itemName
+   * @param {{}} resolveArgs
+   * @param {?Array<{}>} resolveHistory - Null when starting a new resolve.
+   * @param {{isOptional: boolean, asFactory: boolean}} options
+   * @returns {Promise<*>}
+   */
+  async function resolveWithHistoryAsync(scopeState, itemName, resolveArgs, resolveHistory, options) {
+    const context = createResolveContext(scopeState);
+
+    try {
+      const {resolvedFactory, history} = await resolveFactoryAsync(
+        context,
+        itemName,
+        resolveArgs,
+        resolveHistory,
+        {isOptional: options.isOptional, resolveLazy: resolveWithHistoryAsync}
+      );
+
+      // Only new singletons are stored, so singletons from resolves that finished while this one was waiting are kept.
+      storeResolvedSingletons(context.session);
+
+      if (options.asFactory) {
+        return resolvedFactory;
+      }
+
+      return await runFactoryAsync(resolvedFactory, resolveArgs, getLastItemName(history), history);
+    } catch (resolveError) {
+      emitError(scopeState, {itemName, error: resolveError});
+      throw resolveError;
+    }
+  }
+
+  /**
+   * Adds a handler for the injector's events. Handlers added to a scope's parent also get the scope's events.
+   * - beforeResolve: An item is starting to resolve (before its dependencies).
+   * - afterResolve: An item's instance has been made or found in the singletons, with its timings.
+   * - register: An item has been registered.
+   * - error: Resolving an item failed.
+   *
+   * @param {string} eventName
+   * @param {function(ResolveEvent)} handler
+   * @returns {function()} - Removes the handler.
+   * @throws {Error} - On an unknown event or invalid handler.
+   */
+  function on(eventName, handler) {
+    assertValidListener(eventName, handler);
+
+    injectorState.listeners = {
+      ...injectorState.listeners,
+      [eventName]: [...(injectorState.listeners[eventName] || []), handler],
+    };
+
+    return function off() {
+      injectorState.listeners = {
+        ...injectorState.listeners,
+        [eventName]: (injectorState.listeners[eventName] || []).filter((listener) => {
+          return listener !== handler;
+        }),
+      };
+    };
+  }
+
+  /**
+   * Times every item resolved while running the action.
+   * If the action returns a Promise, the profile is returned once it settles.
+   *
+   * @param {function(): *} action
+   * @returns {ResolveProfile|Promise<ResolveProfile>}
+   * @throws {Error} - If the action throws.
+   */
+  function profile(action) {
+    const profiler = createProfiler();
+
+    const removeHandlers = Object.keys(profiler.handlers).map((eventName) => {
+      return on(eventName, profiler.handlers[eventName]);
+    });
+
+    const removeAll = () => {
+      removeHandlers.forEach((removeHandler) => {
+        removeHandler();
+      });
+    };
+
+    const result = runThenCleanUp(action, removeAll);
+
+    if (result && typeof result.then === 'function') {
+      return result.then(profiler.buildProfile);
+    }
+
+    return profiler.buildProfile(result);
   }
 
   /**
    * Sets the register source file in the injector.
    *
    * @param {string} registerSourceFile - The filepath to the file where the next registration calls will take place.
-   *                                      This is usually set to the __filename variable.
+   *                                      This is usually set to the __filename variable (or import.meta.url).
    * @returns {?string} - The previous register source file.
    */
   function setRegisterSource(registerSourceFile) {
     const currentSourceFile = injectorState.meta.registerSourceFile;
 
-    injectorState.meta.registerSourceFile = registerSourceFile;
+    injectorState.meta.registerSourceFile = normalizeFilePath(registerSourceFile);
 
     return currentSourceFile || null;
   }
 
+  /**
+   * Sets whether or not the di should find the register source of each registration from the call stack.
+   * The file, line and column of the code that called register() are used when no register source is set, and
+   * factories without a $filename are given the line they are defined on if they are in that same file.
+   *
+   * @param {boolean} autoRegisterSource
+   */
+  function setAutoRegisterSource(autoRegisterSource) {
+    injectorState.meta.autoRegisterSource = Boolean(autoRegisterSource);
+  }
+
   /**
    * Sets whether or not the di should skip the trace errors.
    *
@@ -176,11 +802,230 @@ function factoryDiFactory() {
     injectorState.meta.skipTraceErrors = Boolean(skipTraceErrors);
   }
 
+  /**
+   * Sets whether or not the di should skip checking injected items against their $provides and $expects contracts.
+   * Skipping the checks (such as in production) removes their overhead entirely.
+   *
+   * @param {boolean} skipContractChecks
+   */
+  function setSkipContractChecks(skipContractChecks) {
+    injectorState.meta.skipContractChecks = Boolean(skipContractChecks);
+  }
+
+  /**
+   * Checks whether the item has already been resolved and cached as a singleton (or scoped item).
+   * Aliases are checked using the item they point to.
+   *
+   * @param {string} itemName
+   * @returns {boolean}
+   */
+  function isResolved(itemName) {
+    const targetName = getAliasTarget(getAllRegistered(injectorState), itemName);
+
+    return findItemOwner(injectorState, targetName).singletons.has(targetName);
+  }
+
+  /**
+   * Clears the singleton of the item, along with the singletons of every item that depends on it, since they would
+   * still be using the cleared instance. They will be resolved again the next time they are used.
+   *
+   * @param {string} itemName
+   * @param {{}} [options]
+   * @param {boolean} [options.dispose] - Whether or not to run the disposers of the singletons being cleared.
+   * @returns {string[]} - The names of every item that was cleared.
+   * @throws {Error} - On invalid item name, or if disposing and any of the disposers threw or returned a Promise.
+   */
+  function clearSingleton(itemName, options) {
+    if (!itemName) {
+      throw new Error('FactoryDI Clear Error: No item name given.');
+    } else if (typeof itemName !== 'string') {
+      throw new Error('FactoryDI Clear Error: The given item name is not a string.');
+    }
+
+    const allRegistered = getAllRegistered(injectorState);
+
+    const clearedSingletons = clearDependentSingletons(itemName);
+    singletonClearCount += 1;
+
+    if (options && options.dispose) {
+      disposeSingletons(allRegistered, clearedSingletons.reduce((singletonStore, {clearedName, singleton}) => {
+        return singletonStore.set(clearedName, singleton);
+      }, createSingletonStore()));
+    }
+
+    return clearedSingletons.map(({clearedName}) => {
+      return clearedName;
+    });
+  }
+
+  /**
+   * Clears the singleton of the item and the singletons of every item that depends on it from the scopes that own
+   * them.
+   *
+   * @param {string} itemName
+   * @returns {Array<{clearedName: string, singleton: *, ownerState: InjectorState}>} - The cleared singletons.
+   */
+  function clearDependentSingletons(itemName) {
+    const resolvedSingletons = getVisibleSingletons(injectorState);
+
+    const dependentNames = getDependentNames(
+      buildGraph(injectorState),
+      getAliasTarget(getAllRegistered(injectorState), itemName)
+    );
+
+    return resolvedSingletons.names().filter((singletonName) => {
+      return dependentNames.indexOf(singletonName) !== -1;
+    }).map((clearedName) => {
+      const ownerState = findItemOwner(injectorState, clearedName);
+
+      ownerState.singletons.delete(clearedName);
+      delete ownerState.singletonPromises[clearedName];
+
+      return {
+        clearedName,
+        singleton: resolvedSingletons.get(clearedName),
+        ownerState,
+      };
+    });
+  }
+
   /**
    * Clears all the singleton objects.
+   *
+   * @param {{}} [options]
+   * @param {boolean} [options.dispose] - Whether or not to run the disposers of the singletons being cleared.
+   * @throws {Error} - If disposing and any of the disposers threw or returned a Promise.
+   */
+  function clearSingletons(options) {
+    if (options && options.dispose) {
+      dispose();
+      return;
+    }
+
+    injectorState.singletons = createSingletonStore();
+    injectorState.singletonPromises = {};
+    singletonClearCount += 1;
+  }
+
+  /**
+   * Disposes all the singleton objects, then clears them so the injector can be used again.
+   * Disposers that return a Promise can not be waited for, so they are reported in the thrown error. Use
+   * disposeAsync() for those.
+   *
+   * @throws {Error} - If any of the disposers threw or returned a Promise. All the disposers will still be run.
+   */
+  function dispose() {
+    const allRegistered = getAllRegistered(injectorState);
+    const {singletons: resolvedSingletons} = injectorState;
+
+    clearSingletons();
+
+    disposeSingletons(allRegistered, resolvedSingletons);
+  }
+
+  /**
+   * Disposes all the singleton objects, waiting for each disposer to finish, then clears them so the injector can
+   * be used again.
+   *
+   * @returns {Promise}
+   * @throws {Error} - If any of the disposers threw or rejected. All the disposers will still be run.
+   */
+  async function disposeAsync() {
+    const allRegistered = getAllRegistered(injectorState);
+    const {singletons: resolvedSingletons} = injectorState;
+
+    clearSingletons();
+
+    await disposeSingletonsAsync(allRegistered, resolvedSingletons);
+  }
+
+  /**
+   * Creates a child scope of this injector.
+   * The scope can resolve every item registered in this injector, and items registered in the scope will shadow them.
+   * Items with $scoped are resolved once per scope, while $singleton items are shared by the injector that
+   * registered them.
+   *
+   * @returns {{}}
+   */
+  function createScope() {
+    return buildFactoryDi({
+      registered: {},
+      singletons: createSingletonStore(),
+      meta: {...injectorState.meta},
+      decorators: [],
+      listeners: {},
+      parent: injectorState,
+    });
+  }
+
+  /**
+   * Creates a new injector with the same registrations as this one.
+   * Registering items in either injector afterwards will not change the other.
+   *
+   * @param {{}} [options]
+   * @param {boolean} [options.keepSingletons] - Whether or not the clone should start with the already resolved
+   *                                             singletons of this injector.
+   * @returns {{}}
+   */
+  function clone(options) {
+    const {keepSingletons} = options || {};
+
+    // The clone registers itself as the factoryDi, so the singleton for this injector must not be carried over.
+    const singletonsToKeep = (keepSingletons)
+      ? injectorState.singletons.copy().delete('factoryDi')
+      : createSingletonStore();
+
+    // The register source is not carried over, since the clone will usually be registered to from another file.
+    const clonedMeta = lodashOmit(injectorState.meta, 'registerSourceFile');
+
+    return buildFactoryDi({
+      registered: injectorState.registered,
+      singletons: singletonsToKeep,
+      meta: clonedMeta,
+      decorators: injectorState.decorators,
+      listeners: {},
+      parent: injectorState.parent,
+    });
+  }
+
+  /**
+   * Checks every registered item for dependencies that are not registered and cyclic dependencies, without running
+   * any factories. Required placeholder arguments that are captured by a singleton are reported as warnings, which do
+   * not make the report invalid.
+   *
+   * @param {{}} [options]
+   * @param {boolean} [options.throwIfInvalid] - Whether or not to throw an error with every problem found.
+   * @returns {ValidationReport}
+   * @throws {Error} - If throwIfInvalid is set and any problems were found.
+   */
+  function validate(options) {
+    const report = validateGraph(getGraph());
+
+    if (!report.isValid && options && options.throwIfInvalid) {
+      throw buildValidationError(report);
+    }
+
+    return report;
+  }
+
+  /**
+   * Gets the dependency graph of every item registered in this injector and its parent scopes.
+   *
+   * @returns {DependencyGraph}
+   */
+  function getGraph() {
+    return buildGraph(injectorState);
+  }
+
+  /**
+   * Exports the dependency graph so it can be rendered as a diagram.
+   *
+   * @param {string} format - One of 'dot' (Graphviz), 'mermaid' or 'json'.
+   * @returns {string}
+   * @throws {Error} - If the format is not supported.
    */
-  function clearSingletons() {
-    injectorState.singletons = {};
+  function exportGraph(format) {
+    return serializeGraph(getGraph(), format);
   }
 
   // Have the factory register itself so it can be injected.
@@ -191,4 +1036,125 @@ function factoryDiFactory() {
   return factoryDi;
 }
 
+/**
+ * Runs the action, and then cleans up once it has finished (or failed), waiting for it if it returns a Promise.
+ *
+ * @param {function(): *} action
+ * @param {function(): void} cleanUp
+ * @returns {*|Promise<*>} - The result of the action, which is a Promise that settles after cleaning up if the
+ *                           action returned a Promise.
+ * @throws {Error} - If the action throws, after cleaning up.
+ */
+function runThenCleanUp(action, cleanUp) {
+  let result;
+  try {
+    result = action();
+  } catch (actionError) {
+    cleanUp();
+    throw actionError;
+  }
+
+  if (!result || typeof result.then !== 'function') {
+    cleanUp();
+    return result;
+  }
+
+  return result.then((settledResult) => {
+    cleanUp();
+    return settledResult;
+  }, (actionError) => {
+    cleanUp();
+    throw actionError;
+  });
+}
+
+/**
+ * Gets the file that called the injector, skipping the injector's own modules.
+ *
+ * @returns {string|undefined} - Undefined if the caller could not be found.
+ */
+function getCallerFilename() {
+  const callerSource = captureCallerSource();
+
+  return (callerSource) ? callerSource.filename : undefined;
+}
+
+/**
+ * Gets the factory to register for the factory or item.
+ * ES modules register their default export, with their named $ exports as its decorators.
+ * Any functions given are assumed to be factories, and non-functions are wrapped in a factory.
+ *
+ * @param {DecoratedFactory|*} factoryOrItem
+ * @returns {DecoratedFactory}
+ */
+function toFactory(factoryOrItem) {
+  const moduleFactory = getModuleFactory(factoryOrItem);
+
+  return (typeof moduleFactory === 'function') ? moduleFactory : buildItemFactory(moduleFactory);
+}
+
+/**
+ * Builds the factory that replaces the original factory, by wrapping the given factory so that registering it does
+ * not change the given factory.
+ * The wrapper reads the decorators of the given factory through its prototype, and copies the $tags and $scoped of
+ * the original factory onto itself, unless the given factory defines its own.
+ *
+ * @param {DecoratedFactory} factory
+ * @param {?DecoratedFactory} originalFactory
+ * @returns {DecoratedFactory}
+ */
+function buildOverrideFactory(factory, originalFactory) {
+  const overrideFactory = function overrideFactory(...factoryArgs) {
+    // Classes can only be instantiated using `new`, so it must be passed on.
+    return (new.target) ? Reflect.construct(factory, factoryArgs) : factory(...factoryArgs);
+  };
+
+  Object.setPrototypeOf(overrideFactory, factory);
+  shareFunctionSignature(factory, overrideFactory);
+
+  if (originalFactory) {
+    ['$tags', '$scoped'].forEach((decoratorName) => {
+      if (factory[decoratorName] === undefined && originalFactory[decoratorName] !== undefined) {
+        overrideFactory[decoratorName] = originalFactory[decoratorName];
+      }
+    });
+  }
+
+  return overrideFactory;
+}
+
+/**
+ * Builds a singleton factory for the item, so it is registered as a value even if it is a function.
+ *
+ * @param {*} item
+ * @returns {DecoratedFactory}
+ */
+function buildItemFactory(item) {
+  const itemFactory = function itemFactory() {
+    return item;
+  };
+  itemFactory.$singleton = true;
+
+  if (item && item.$filename) {
+    itemFactory.$filename = item.$filename;
+  }
+
+  return itemFactory;
+}
+
+// The errors are exported with the factory, so they can be checked using instanceof.
+factoryDiFactory.ERROR_CODES = ERROR_CODES;
+factoryDiFactory.ContractMismatchError = ContractMismatchError;
+factoryDiFactory.CyclicDependencyError = CyclicDependencyError;
+factoryDiFactory.DisposeError = DisposeError;
+factoryDiFactory.EnvError = EnvError;
+factoryDiFactory.FactoryDiError = FactoryDiError;
+factoryDiFactory.FactoryThrewError = FactoryThrewError;
+factoryDiFactory.InvalidInjectError = InvalidInjectError;
+factoryDiFactory.MissingResolveArgError = MissingResolveArgError;
+factoryDiFactory.NotRegisteredError = NotRegisteredError;
+factoryDiFactory.SingletonPendingError = SingletonPendingError;
+factoryDiFactory.ValidationError = ValidationError;
+factoryDiFactory.formatError = formatError;
+
 module.exports = factoryDiFactory;
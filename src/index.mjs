@@ -0,0 +1,24 @@
+/**
+ * The ES module entry point. The injector itself is shared with the CommonJS entry point, so both give the same
+ * factory and error classes.
+ */
+
+import factoryDiFactory from './index.js';
+
+export const {
+  ERROR_CODES,
+  ContractMismatchError,
+  CyclicDependencyError,
+  DisposeError,
+  EnvError,
+  FactoryDiError,
+  FactoryThrewError,
+  InvalidInjectError,
+  MissingResolveArgError,
+  NotRegisteredError,
+  SingletonPendingError,
+  ValidationError,
+  formatError,
+} = factoryDiFactory;
+
+export default factoryDiFactory;
@@ -0,0 +1,156 @@
+/*
+ * Type tests for the declarations in index.d.ts.
+ * These are only compiled (npm run test:types), never run.
+ */
+
+import factoryDiFactory = require('./index');
+
+type IsExact<TActual, TExpected> =
+  (<TCheck>() => TCheck extends TActual ? 1 : 2) extends (<TCheck>() => TCheck extends TExpected ? 1 : 2)
+    ? true
+    : false;
+
+/**
+ * Checks the type of a value, such as `const isCat: true = expectType<Cat>()(value);`.
+ */
+function expectType<TExpected>() {
+  return <TActual>(value: TActual): IsExact<TActual, TExpected> => {
+    return (value !== undefined) as IsExact<TActual, TExpected>;
+  };
+}
+
+declare const __filename: string;
+
+interface Cat {
+  name: string;
+  meow(): string;
+}
+
+interface Trainer {
+  train(cat: Cat): void;
+}
+
+interface Registry {
+  cat: Cat;
+  trainer: Trainer;
+  catName: string;
+  database: Promise<{query(sql: string): string[]}>;
+}
+
+function catFactory(catName: string): Cat {
+  return {
+    name: catName,
+    meow() {
+      return `${catName} meows.`;
+    },
+  };
+}
+catFactory.$inject = ['catName'];
+catFactory.$singleton = true;
+catFactory.$filename = __filename;
+
+function trainerFactory(): Trainer {
+  return {
+    train() {
+      return undefined;
+    },
+  };
+}
+trainerFactory.$inject = true as const;
+trainerFactory.$placeholders = ['treats'];
+
+const factoryDi = factoryDiFactory<Registry>();
+const checks: true[] = [];
+
+// Registering.
+
+factoryDi.register('catName', 'Tom');
+factoryDi.register('cat', catFactory);
+factoryDi.register('trainer', trainerFactory, {filename: __filename, forceSingleton: true});
+factoryDi.register('database', async () => {
+  return {
+    query() {
+      return [];
+    },
+  };
+});
+
+// ES module namespace objects register their default export.
+factoryDi.register('cat', {default: catFactory, $singleton: true});
+
+// @ts-expect-error - Items that are not in the registry can not be registered.
+factoryDi.register('dog', 'Rex');
+
+// @ts-expect-error - The item must match the registry.
+factoryDi.register('catName', 42);
+
+// @ts-expect-error - The factory must make the item in the registry.
+factoryDi.register('cat', trainerFactory);
+
+// Resolving.
+
+checks.push(expectType<Cat>()(factoryDi.resolve('cat')));
+checks.push(expectType<Trainer>()(factoryDi.resolve('trainer', {trainer: {treats: 2}})));
+checks.push(expectType<string>()(factoryDi.resolve('catName')));
+checks.push(expectType<(...placeholderArgs: any[]) => Trainer>()(factoryDi.resolve('trainer', null, {asFactory: true})));
+
+// @ts-expect-error - Items that are not in the registry can not be resolved.
+factoryDi.resolve('dog');
+
+checks.push(expectType<Promise<Cat>>()(factoryDi.resolveAsync('cat')));
+checks.push(expectType<Promise<{query(sql: string): string[]}>>()(factoryDi.resolveAsync('database')));
+
+// Decorators.
+
+const decoratedFactory: factoryDiFactory.Factory<Cat> = catFactory;
+checks.push(expectType<string[] | true | undefined>()(decoratedFactory.$inject));
+checks.push(expectType<string[] | undefined>()(decoratedFactory.$placeholders));
+checks.push(expectType<boolean | undefined>()(decoratedFactory.$singleton));
+checks.push(expectType<string | undefined>()(decoratedFactory.$filename));
+
+function badFactory() {
+  return 'bad';
+}
+badFactory.$singleton = 'yes';
+
+// @ts-expect-error - Decorators must have the right types.
+const badDecoratedFactory: factoryDiFactory.Factory<string> = badFactory;
+
+// Settings.
+
+checks.push(expectType<string | null>()(factoryDi.setRegisterSource(__filename)));
+factoryDi.setRegisterSource(null);
+factoryDi.setAutoRegisterSource(true);
+factoryDi.setSkipTraceErrors(true);
+factoryDi.clearSingletons();
+factoryDi.clearSingletons({dispose: true});
+
+// @ts-expect-error - Skipping trace errors needs a boolean.
+factoryDi.setSkipTraceErrors('yes');
+
+// Without a registry, any item can be registered and resolved.
+
+const untypedDi = factoryDiFactory();
+untypedDi.register('dog', 'Rex');
+checks.push(expectType<any>()(untypedDi.resolve('dog')));
+
+// Errors.
+
+try {
+  factoryDi.resolve('cat');
+} catch (error) {
+  if (error instanceof factoryDiFactory.NotRegisteredError) {
+    checks.push(expectType<string | null>()(error.code));
+    checks.push(expectType<string[] | undefined>()(error.suggestions));
+  }
+  if (error instanceof factoryDiFactory.ContractMismatchError) {
+    checks.push(expectType<factoryDiFactory.ContractMismatch[]>()(error.mismatches));
+  }
+  if (error instanceof factoryDiFactory.DisposeError) {
+    checks.push(expectType<string[]>()(error.itemNames));
+  }
+
+  checks.push(expectType<string>()(factoryDiFactory.formatError(error)));
+}
+
+export = checks;
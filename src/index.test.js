@@ -1,8 +1,15 @@
 /* eslint-disable require-jsdoc, max-len */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const url = require('url');
+
 const ava = require('ava');
 
 const factoryDiFactory = require('./index');
+const {createTestInjector} = require('../testing');
+const registerFarm = require('./example/farmRegistration');
 
 function getDiInstance() {
   const factoryDi = factoryDiFactory();
@@ -587,3 +594,2426 @@ ava('Throws an error if injection names are invalid.', (test) => {
     }
   }
 });
+
+ava('Can resolve async factories and inject their settled values.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  async function aFactory(b, c) {
+    return {b, c};
+  }
+  aFactory.$inject = true;
+
+  function bFactory() {
+    return Promise.resolve('bValue');
+  }
+
+  async function cFactory(z) {
+    return z;
+  }
+
+  factoryDi.register('a', aFactory);
+  factoryDi.register('b', bFactory);
+  factoryDi.register('c', cFactory);
+
+  test.deepEqual({b: 'bValue', c: 'zValue'}, await factoryDi.resolveAsync('a', {
+    c: {z: 'zValue'}
+  }));
+});
+
+ava('Resolves independent async dependencies concurrently.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  const started = [];
+  let releaseB = null;
+  let releaseC = null;
+
+  function aFactory(b, c) {
+    return [b, c];
+  }
+  aFactory.$inject = ['b', 'c'];
+
+  function bFactory() {
+    started.push('b');
+    return new Promise((resolvePromise) => {
+      releaseB = resolvePromise;
+    });
+  }
+
+  function cFactory() {
+    started.push('c');
+    return new Promise((resolvePromise) => {
+      releaseC = resolvePromise;
+    });
+  }
+
+  factoryDi.register('a', aFactory);
+  factoryDi.register('b', bFactory);
+  factoryDi.register('c', cFactory);
+
+  const resolving = factoryDi.resolveAsync('a');
+  await new Promise(setImmediate);
+
+  test.deepEqual(['b', 'c'], started, 'Both siblings started before either settled.');
+
+  releaseC('cValue');
+  releaseB('bValue');
+
+  test.deepEqual(['bValue', 'cValue'], await resolving);
+});
+
+ava('Caches the settled value of async singletons.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  let runCount = 0;
+
+  function aFactory(c) {
+    return c;
+  }
+  aFactory.$inject = ['c'];
+
+  function bFactory(c) {
+    return c;
+  }
+  bFactory.$inject = ['c'];
+
+  async function cFactory() {
+    runCount += 1;
+    return {c: true};
+  }
+  cFactory.$singleton = true;
+
+  factoryDi.register('a', aFactory);
+  factoryDi.register('b', bFactory);
+  factoryDi.register('c', cFactory);
+
+  const [aValue, bValue] = await Promise.all([
+    factoryDi.resolveAsync('a'),
+    factoryDi.resolveAsync('b'),
+  ]);
+
+  test.is(aValue, bValue);
+  test.is(1, runCount);
+  test.is(aValue, factoryDi.resolve('c'), 'The settled value is cached instead of the promise.');
+});
+
+ava('Throws instead of running a singleton again while it is resolving async.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  let runCount = 0;
+
+  async function poolFactory() {
+    runCount += 1;
+    return {pool: true};
+  }
+  poolFactory.$singleton = true;
+
+  factoryDi.register('pool', poolFactory);
+
+  const poolPromise = factoryDi.resolveAsync('pool');
+
+  const pendingError = test.throws(() => {
+    factoryDi.resolve('pool');
+  }, {instanceOf: factoryDiFactory.SingletonPendingError});
+  test.is(factoryDiFactory.ERROR_CODES.SINGLETON_PENDING, pendingError.code);
+  test.regex(pendingError.message, /The singleton 'pool' is still being resolved by resolveAsync\(\)/);
+
+  const pool = await poolPromise;
+
+  test.is(pool, factoryDi.resolve('pool'));
+  test.is(1, runCount);
+});
+
+ava('Shows the resolve path when a nested async factory rejects.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  function aFactory(b) {
+    return b;
+  }
+  aFactory.$inject = ['b'];
+
+  async function bFactory() {
+    throw new Error('Connection refused');
+  }
+
+  factoryDi.register('a', aFactory);
+  factoryDi.register('b', bFactory);
+
+  const error = await test.throwsAsync(factoryDi.resolveAsync('a'), /The factory for 'b' threw an error: Connection refused/);
+
+  test.is('Connection refused', error.cause.message);
+  test.regex(error.stack, /at b \(\?\)[\s\S]*at a \(\?\)/);
+});
+
+ava('Throws an error if a cyclic dependency is found while resolving async.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  function aFactory(b) {
+    return b;
+  }
+  aFactory.$inject = ['b'];
+  aFactory.$singleton = true;
+
+  function bFactory(a) {
+    return a;
+  }
+  bFactory.$inject = ['a'];
+  bFactory.$singleton = true;
+
+  function cFactory(a, b) {
+    return [a, b];
+  }
+  cFactory.$inject = ['a', 'b'];
+
+  factoryDi.register('a', aFactory);
+  factoryDi.register('b', bFactory);
+  factoryDi.register('c', cFactory);
+
+  await test.throwsAsync(factoryDi.resolveAsync('c'), /Cyclic dependency 'a' found while resolving dependency path/);
+});
+
+ava('Scopes can resolve items registered in the parent injector.', (test) => {
+  const factoryDi = getDiInstance();
+
+  const value = {test: true};
+  factoryDi.register('test', value);
+
+  const scope = factoryDi.createScope();
+
+  factoryDi.register('late', 'registeredAfterScope');
+
+  test.is(value, scope.resolve('test'));
+  test.is('registeredAfterScope', scope.resolve('late'));
+  test.is(scope, scope.resolve('factoryDi'), 'The scope injects itself as the factoryDi.');
+});
+
+ava('Scope registrations shadow the parent without changing it.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function aFactory(b) {
+    return b;
+  }
+  aFactory.$inject = ['b'];
+
+  factoryDi.register('a', aFactory);
+  factoryDi.register('b', 'parentB');
+
+  const scope = factoryDi.createScope();
+  scope.register('b', 'scopeB');
+
+  test.is('scopeB', scope.resolve('a'));
+  test.is('parentB', factoryDi.resolve('a'));
+});
+
+ava('Scoped items are cached per scope while singletons are shared.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function requestFactory() {
+    return {request: true};
+  }
+  requestFactory.$scoped = true;
+
+  function poolFactory() {
+    return {pool: true};
+  }
+  poolFactory.$singleton = true;
+
+  function handlerFactory(request, pool) {
+    return {request, pool};
+  }
+  handlerFactory.$inject = ['request', 'pool'];
+
+  factoryDi.register('request', requestFactory);
+  factoryDi.register('pool', poolFactory);
+  factoryDi.register('handler', handlerFactory);
+
+  const firstScope = factoryDi.createScope();
+  const secondScope = factoryDi.createScope();
+
+  const firstHandler = firstScope.resolve('handler');
+
+  test.is(firstHandler.request, firstScope.resolve('request'));
+  test.not(firstHandler.request, secondScope.resolve('request'));
+  test.is(firstHandler.pool, secondScope.resolve('pool'));
+  test.is(firstHandler.pool, factoryDi.resolve('pool'), 'The singleton is cached in the root injector.');
+});
+
+ava('Scoped items are cached per scope when resolved async.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  async function requestFactory() {
+    return {request: true};
+  }
+  requestFactory.$scoped = true;
+
+  factoryDi.register('request', requestFactory);
+
+  const firstScope = factoryDi.createScope();
+  const secondScope = factoryDi.createScope();
+
+  const firstRequest = await firstScope.resolveAsync('request');
+
+  test.is(firstRequest, await firstScope.resolveAsync('request'));
+  test.not(firstRequest, await secondScope.resolveAsync('request'));
+});
+
+ava('Singletons of a parent scope never use the items of the scope that resolved them.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  function requestFactory() {
+    return {request: true};
+  }
+  requestFactory.$scoped = true;
+
+  function serviceFactory(name, request, getLabel) {
+    return {name, request, label: getLabel()};
+  }
+  serviceFactory.$inject = ['name', 'request', 'label~'];
+  serviceFactory.$singleton = true;
+
+  factoryDi.register('name', 'root');
+  factoryDi.register('label', 'rootLabel');
+  factoryDi.register('request', requestFactory);
+  factoryDi.register('service', serviceFactory);
+
+  const firstScope = factoryDi.createScope();
+  firstScope.register('name', 'first');
+  firstScope.register('label', 'firstLabel');
+
+  const secondScope = firstScope.createScope();
+  secondScope.register('name', 'second');
+
+  const service = secondScope.resolve('service');
+
+  test.is('root', service.name);
+  test.is('rootLabel', service.label, 'Lazy dependencies are resolved in the parent scope too.');
+  test.is(service, firstScope.resolve('service'));
+  test.is(service, factoryDi.resolve('service'));
+  test.is(service.request, factoryDi.resolve('request'), 'Scoped items are cached in the parent scope.');
+  test.not(service.request, secondScope.resolve('request'));
+
+  const asyncDi = getDiInstance();
+  asyncDi.register('name', 'root');
+  asyncDi.register('label', 'rootLabel');
+  asyncDi.register('service', serviceFactory);
+  asyncDi.register('request', requestFactory);
+
+  const asyncScope = asyncDi.createScope();
+  asyncScope.register('name', 'scope');
+
+  test.is('root', (await asyncScope.resolveAsync('service')).name);
+});
+
+ava('Cloned injectors do not share later registrations.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function aFactory(b) {
+    return b;
+  }
+  aFactory.$inject = ['b'];
+
+  factoryDi.register('a', aFactory);
+  factoryDi.register('b', 'originalB');
+
+  const clonedDi = factoryDi.clone();
+  clonedDi.register('b', 'clonedB');
+  factoryDi.register('c', 'originalC');
+
+  test.is('clonedB', clonedDi.resolve('a'));
+  test.is('originalB', factoryDi.resolve('a'));
+  test.throws(() => {
+    clonedDi.resolve('c');
+  }, /The item 'c' has not been registered/);
+});
+
+ava('Cloned injectors can keep the resolved singletons.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function testFactory() {
+    return {test: true};
+  }
+  testFactory.$singleton = true;
+
+  factoryDi.register('test', testFactory);
+
+  const original = factoryDi.resolve('test');
+
+  test.is(original, factoryDi.clone({keepSingletons: true}).resolve('test'));
+  test.not(original, factoryDi.clone().resolve('test'));
+});
+
+ava('Cloned injectors inject themselves as the factoryDi.', (test) => {
+  const factoryDi = getDiInstance();
+
+  factoryDi.resolve('factoryDi');
+
+  const clonedDi = factoryDi.clone({keepSingletons: true});
+
+  test.is(clonedDi, clonedDi.resolve('factoryDi'));
+  test.is(factoryDi, factoryDi.resolve('factoryDi'));
+});
+
+ava('Disposes singletons with dependents before their dependencies.', (test) => {
+  const factoryDi = getDiInstance();
+
+  const disposed = [];
+
+  function poolFactory() {
+    return {pool: true};
+  }
+  poolFactory.$singleton = true;
+  poolFactory.$dispose = (pool) => {
+    disposed.push(['pool', pool]);
+  };
+
+  function repoFactory(pool) {
+    return {
+      pool,
+      $dispose: () => {
+        disposed.push(['repo']);
+      },
+    };
+  }
+  repoFactory.$inject = ['pool'];
+  repoFactory.$singleton = true;
+
+  factoryDi.register('repo', repoFactory);
+  factoryDi.register('pool', poolFactory);
+
+  const repo = factoryDi.resolve('repo');
+  factoryDi.dispose();
+
+  test.deepEqual([['repo'], ['pool', repo.pool]], disposed);
+  test.not(repo, factoryDi.resolve('repo'), 'The injector can be used again after disposing.');
+});
+
+ava('Collects all dispose errors into one error.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  let bDisposed = false;
+
+  function aFactory() {
+    return {};
+  }
+  aFactory.$singleton = true;
+  aFactory.$dispose = async () => {
+    throw new Error('aFailed');
+  };
+
+  function bFactory() {
+    return {};
+  }
+  bFactory.$singleton = true;
+  bFactory.$dispose = async () => {
+    bDisposed = true;
+  };
+
+  function cFactory() {
+    return {};
+  }
+  cFactory.$singleton = true;
+  cFactory.$dispose = () => {
+    throw new Error('cFailed');
+  };
+
+  factoryDi.register('a', aFactory);
+  factoryDi.register('b', bFactory);
+  factoryDi.register('c', cFactory);
+
+  factoryDi.resolve('a');
+  factoryDi.resolve('b');
+  factoryDi.resolve('c');
+
+  const error = await test.throwsAsync(factoryDi.disposeAsync(), /Could not dispose 'c' \(cFailed\), 'a' \(aFailed\)/);
+
+  test.is(2, error.errors.length);
+  test.true(bDisposed);
+});
+
+ava('Can run disposers when clearing singletons.', (test) => {
+  const factoryDi = getDiInstance();
+
+  let disposeCount = 0;
+
+  function testFactory() {
+    return {test: true};
+  }
+  testFactory.$singleton = true;
+  testFactory.$dispose = () => {
+    disposeCount += 1;
+  };
+
+  factoryDi.register('test', testFactory);
+
+  factoryDi.resolve('test');
+  factoryDi.clearSingletons();
+  test.is(0, disposeCount);
+
+  factoryDi.resolve('test');
+  factoryDi.clearSingletons({dispose: true});
+  test.is(1, disposeCount);
+});
+
+ava('Sync disposing reports disposers that return a Promise instead of leaving them unhandled.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  const disposed = [];
+
+  function poolFactory() {
+    return {pool: true};
+  }
+  poolFactory.$singleton = true;
+  poolFactory.$dispose = async () => {
+    disposed.push('pool');
+    throw new Error('Pool already closed');
+  };
+
+  function cacheFactory() {
+    return {cache: true};
+  }
+  cacheFactory.$singleton = true;
+  cacheFactory.$dispose = () => {
+    disposed.push('cache');
+  };
+
+  factoryDi.register('pool', poolFactory);
+  factoryDi.register('cache', cacheFactory);
+
+  factoryDi.resolve('pool');
+  factoryDi.resolve('cache');
+
+  const disposeError = test.throws(() => {
+    factoryDi.dispose();
+  }, /Could not dispose 'pool' \(The disposer returned a Promise, so use disposeAsync\(\) to wait for it\)/);
+  test.true(disposeError instanceof factoryDiFactory.DisposeError);
+  test.is(factoryDiFactory.ERROR_CODES.DISPOSE_FAILED, disposeError.code);
+  test.deepEqual(['pool'], disposeError.itemNames);
+  test.true(disposeError.errors[0] instanceof factoryDiFactory.DisposeError, 'The Promise is reported as a dispose error.');
+  test.is('pool', disposeError.errors[0].itemName);
+  test.deepEqual(['cache', 'pool'], disposed.sort(), 'Every disposer is still run.');
+  test.false(factoryDi.isResolved('pool'));
+
+  await new Promise((resolve) => {
+    setImmediate(resolve);
+  });
+  test.is('Pool already closed', disposeError.errors[0].cause.message);
+
+  factoryDi.resolve('pool');
+  test.throws(() => {
+    factoryDi.clearSingleton('pool', {dispose: true});
+  }, /use disposeAsync\(\)/);
+
+  factoryDi.resolve('pool');
+  test.throws(() => {
+    factoryDi.clearSingletons({dispose: true});
+  }, /use disposeAsync\(\)/);
+});
+
+ava('Aliases resolve through their target and share its singleton.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function winstonLoggerFactory() {
+    return {log: true};
+  }
+  winstonLoggerFactory.$singleton = true;
+
+  function serviceFactory(logger) {
+    return {logger};
+  }
+  serviceFactory.$inject = ['logger'];
+
+  factoryDi.register('winstonLogger', winstonLoggerFactory);
+  factoryDi.register('service', serviceFactory);
+  factoryDi.alias('baseLogger', 'winstonLogger');
+  factoryDi.alias('logger', 'baseLogger');
+
+  test.is(factoryDi.resolve('winstonLogger'), factoryDi.resolve('service').logger);
+  test.is(factoryDi.resolve('winstonLogger'), factoryDi.resolve('logger'));
+});
+
+ava('Throws an error if an alias cycle is found.', (test) => {
+  const factoryDi = getDiInstance();
+
+  factoryDi.alias('a', 'b');
+  factoryDi.alias('b', 'a');
+
+  test.throws(() => {
+    factoryDi.resolve('a');
+  }, /Cyclic dependency 'a' found while resolving dependency path/);
+});
+
+ava('Shows the alias and the real item in the error stack.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function loggerFactory(level) {
+    return level;
+  }
+
+  factoryDi.register('winstonLogger', loggerFactory);
+  factoryDi.alias('logger', 'winstonLogger');
+
+  const error = test.throws(() => {
+    factoryDi.resolve('logger');
+  }, /Could not resolve instance of 'winstonLogger'/);
+
+  test.regex(error.stack, /at winstonLogger \(\?\)[\s\S]*at logger \(alias of winstonLogger\)/);
+  test.is('debug', factoryDi.resolve('logger', {winstonLogger: {level: 'debug'}}));
+});
+
+ava('Aliases resolve async through their target.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  async function poolFactory() {
+    return {pool: true};
+  }
+  poolFactory.$singleton = true;
+
+  factoryDi.register('pool', poolFactory);
+  factoryDi.alias('db', 'pool');
+
+  test.is(await factoryDi.resolveAsync('pool'), await factoryDi.resolveAsync('db'));
+});
+
+ava('Lazy dependencies are resolved on first use and memoized.', (test) => {
+  const factoryDi = getDiInstance();
+
+  let heavyCount = 0;
+
+  function aFactory(getHeavy) {
+    return {getHeavy};
+  }
+  aFactory.$inject = ['heavy~'];
+
+  function bFactory(heavy) {
+    return {heavy};
+  }
+  bFactory.$inject = true;
+  bFactory.$lazy = ['heavy'];
+
+  function heavyFactory() {
+    heavyCount += 1;
+    return {heavy: true};
+  }
+
+  factoryDi.register('a', aFactory);
+  factoryDi.register('b', bFactory);
+  factoryDi.register('heavy', heavyFactory);
+
+  const a = factoryDi.resolve('a');
+  test.is(0, heavyCount, 'The dependency is not resolved until it is used.');
+
+  test.is(a.getHeavy(), a.getHeavy());
+  test.is(1, heavyCount);
+
+  test.deepEqual({heavy: true}, factoryDi.resolve('b').heavy());
+});
+
+ava('Lazy dependencies allow otherwise cyclic dependencies.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function aFactory(getB) {
+    return {
+      name: 'a',
+      getB,
+    };
+  }
+  aFactory.$inject = ['b~'];
+  aFactory.$singleton = true;
+
+  function bFactory(a) {
+    return {
+      name: 'b',
+      a,
+    };
+  }
+  bFactory.$inject = ['a'];
+
+  function cFactory(c) {
+    return c;
+  }
+  cFactory.$inject = ['d~'];
+
+  function dFactory(d) {
+    return d;
+  }
+  dFactory.$inject = ['d'];
+
+  factoryDi.register('a', aFactory);
+  factoryDi.register('b', bFactory);
+  factoryDi.register('c', cFactory);
+  factoryDi.register('d', dFactory);
+
+  const a = factoryDi.resolve('a');
+  test.is(a, a.getB().a);
+
+  const getD = factoryDi.resolve('c');
+  const error = test.throws(getD, /Cyclic dependency 'd' found while resolving dependency path/);
+  test.regex(error.stack, /at d \(\?\)[\s\S]*at c \(\?\)/, 'The path to the lazy dependency is in the stack.');
+});
+
+ava('Optional lazy dependencies resolve to undefined.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  function aFactory(getMissing) {
+    return getMissing;
+  }
+  aFactory.$inject = ['missing~?'];
+
+  factoryDi.register('a', aFactory);
+
+  test.is(undefined, factoryDi.resolve('a')());
+  test.is(undefined, await (await factoryDi.resolveAsync('a'))());
+});
+
+ava('Lazy dependencies of async resolves wait for async factories.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  let dbCount = 0;
+  async function dbFactory() {
+    dbCount += 1;
+    await new Promise((resolve) => {
+      setImmediate(resolve);
+    });
+    return {query: dbCount};
+  }
+  dbFactory.$singleton = true;
+
+  function serviceFactory(getDb) {
+    return {getDb};
+  }
+  serviceFactory.$inject = ['db~'];
+
+  factoryDi.register('db', dbFactory);
+  factoryDi.register('service', serviceFactory);
+
+  const dbPromise = factoryDi.resolveAsync('db');
+  const service = await factoryDi.resolveAsync('service');
+
+  test.deepEqual({query: 1}, await service.getDb(), 'The lazy dependency waits for the singleton being resolved.');
+  test.is(await dbPromise, await service.getDb());
+  test.is(1, dbCount);
+
+  test.is(await dbPromise, factoryDi.resolve('service').getDb(), 'Sync resolves get the settled singleton.');
+});
+
+ava('Can inject every item registered to a collection in order.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function appFactory(middlewares) {
+    return middlewares;
+  }
+  appFactory.$inject = ['middlewares[]'];
+
+  function corsFactory() {
+    return 'cors';
+  }
+
+  function authFactory() {
+    return {auth: true};
+  }
+  authFactory.$singleton = true;
+
+  factoryDi.register('app', appFactory);
+  factoryDi.registerMulti('middlewares', corsFactory, {order: 2});
+  factoryDi.registerMulti('middlewares', authFactory);
+  factoryDi.registerMulti('middlewares', 'logger', {order: 2});
+
+  const middlewares = factoryDi.resolve('app');
+
+  test.deepEqual([{auth: true}, 'cors', 'logger'], middlewares);
+  test.is(middlewares[0], factoryDi.resolve('middlewares[]')[0], 'Contributions keep their singleton.');
+});
+
+ava('Collection items keep their placeholder arguments.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function validatorFactory(maxLength) {
+    return maxLength;
+  }
+
+  const validatorName = factoryDi.registerMulti('validators', validatorFactory);
+  factoryDi.registerMulti('validators', true);
+
+  test.deepEqual(['maxLength', true], factoryDi.resolve('validators[]', {common: {maxLength: 'maxLength'}}));
+  test.deepEqual(['ownLength', true], factoryDi.resolve('validators[]', {[validatorName]: {maxLength: 'ownLength'}}));
+  test.throws(() => {
+    factoryDi.resolve('validators[]');
+  }, /Could not resolve instance of 'validators\[\d+\]'/);
+});
+
+ava('Scopes add to the collections of their parent.', (test) => {
+  const factoryDi = getDiInstance();
+
+  factoryDi.registerMulti('plugins', 'parentPlugin');
+
+  const scope = factoryDi.createScope();
+  scope.registerMulti('plugins', 'scopePlugin', {order: -1});
+
+  test.deepEqual(['scopePlugin', 'parentPlugin'], scope.resolve('plugins[]'));
+  test.deepEqual(['parentPlugin'], factoryDi.resolve('plugins[]'));
+
+  factoryDi.registerMulti('plugins', 'laterParentPlugin');
+
+  test.deepEqual(
+    ['scopePlugin', 'parentPlugin', 'laterParentPlugin'],
+    scope.resolve('plugins[]'),
+    'Contributions the parent adds later are included, and do not replace the contributions of the scope.'
+  );
+});
+
+ava('Injects an empty list for a collection without contributions.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  function appFactory(plugins) {
+    return plugins;
+  }
+  appFactory.$inject = ['plugins[]'];
+
+  factoryDi.register('app', appFactory);
+
+  test.deepEqual([], factoryDi.resolve('app'));
+  test.deepEqual([], await factoryDi.resolveAsync('app'));
+  test.true(factoryDi.validate().isValid);
+});
+
+ava('Can resolve every item registered with a tag.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function pgRepoFactory() {
+    return {pg: true};
+  }
+  pgRepoFactory.$singleton = true;
+
+  function mongoRepoFactory() {
+    return {mongo: true};
+  }
+  mongoRepoFactory.$tags = ['repository'];
+
+  factoryDi.register('pgRepo', pgRepoFactory, {tags: ['repository', 'db']});
+  factoryDi.register('mongoRepo', mongoRepoFactory);
+  factoryDi.register('cache', 'cacheValue', {tags: ['db']});
+
+  const repositories = factoryDi.resolveByTag('repository');
+
+  test.deepEqual({pgRepo: {pg: true}, mongoRepo: {mongo: true}}, repositories);
+  test.is(factoryDi.resolve('pgRepo'), repositories.pgRepo);
+  test.deepEqual({}, factoryDi.resolveByTag('missing'));
+});
+
+ava('Can inject every item registered with a tag.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  function healthCheckFactory(checks) {
+    return Object.keys(checks);
+  }
+  healthCheckFactory.$inject = ['#healthCheck'];
+
+  factoryDi.register('healthCheck', healthCheckFactory);
+  factoryDi.register('dbCheck', true, {tags: ['healthCheck']});
+  factoryDi.register('queueCheck', true, {tags: ['healthCheck']});
+
+  test.deepEqual(['dbCheck', 'queueCheck'], factoryDi.resolve('healthCheck'));
+  test.deepEqual(['dbCheck', 'queueCheck'], await factoryDi.resolveAsync('healthCheck'));
+});
+
+ava('Throws an error if the tags are not an array.', (test) => {
+  const factoryDi = getDiInstance();
+
+  test.throws(() => {
+    factoryDi.register('test', true, {tags: 'repository'});
+  }, /Invalid non-array \$tags found for 'test'/);
+});
+
+ava('Can inject into async, arrow and commented factory signatures.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  async function asyncFactory(/* the db */ db, config) {
+    return `${db}:${config}`;
+  }
+  asyncFactory.$inject = true;
+
+  const arrowFactory = db => `arrow:${db}`; // eslint-disable-line arrow-parens, arrow-body-style
+  arrowFactory.$inject = true;
+
+  factoryDi.register('db', 'dbValue');
+  factoryDi.register('config', 'configValue');
+  factoryDi.register('asyncItem', asyncFactory);
+  factoryDi.register('arrowItem', arrowFactory);
+
+  test.is('dbValue:configValue', await factoryDi.resolveAsync('asyncItem'));
+  test.is('arrow:dbValue', factoryDi.resolve('arrowItem'));
+});
+
+ava('Can parse default values that contain parentheses and commas.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function pick(first, second) {
+    return `${first}${second}`;
+  }
+
+  function testFactory(db, format = pick('a', 'b'), suffix) {
+    return `${db}:${format}:${suffix}`;
+  }
+  testFactory.$inject = true;
+  testFactory.$placeholders = ['suffix'];
+
+  factoryDi.register('db', 'dbValue');
+  factoryDi.register('format', undefined);
+  factoryDi.register('test', testFactory);
+
+  test.is('dbValue:ab:end', factoryDi.resolve('test', {common: {suffix: 'end'}}));
+});
+
+ava('Throws an error if $inject is true and the factory has destructured arguments.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function testFactory(db, {host}) {
+    return `${db}:${host}`;
+  }
+  testFactory.$inject = true;
+
+  test.throws(() => {
+    factoryDi.register('test', testFactory);
+  }, /Found destructured arguments for 'test' on indexes: 1/);
+
+  testFactory.$inject = ['db', 'config'];
+
+  factoryDi.register('db', 'dbValue');
+  factoryDi.register('config', {host: 'localhost'});
+  factoryDi.register('test', testFactory);
+
+  test.is('dbValue:localhost', factoryDi.resolve('test'));
+
+  function placeholderFactory(db, {host}, [port] = ['80']) {
+    return `${db}:${host}:${port}`;
+  }
+
+  factoryDi.register('placeholders', placeholderFactory);
+
+  const makePlaceholders = factoryDi.resolve('placeholders', null, {asFactory: true});
+  test.is('dbValue:localhost:8080', makePlaceholders('dbValue', {host: 'localhost'}, ['8080']), 'Placeholder-only factories can destructure.');
+  test.is('db:remote:80', factoryDi.resolve('placeholders', {placeholders: {db: 'db', 'arguments[1]': {host: 'remote'}}}));
+});
+
+ava('Can inject any number of items into a rest argument.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function testFactory(first, ...others) {
+    return [first, others];
+  }
+  testFactory.$inject = ['a', 'b', 'c'];
+
+  factoryDi.register('a', 'aValue');
+  factoryDi.register('b', 'bValue');
+  factoryDi.register('c', 'cValue');
+  factoryDi.register('test', testFactory);
+
+  test.deepEqual(['aValue', ['bValue', 'cValue']], factoryDi.resolve('test'));
+});
+
+ava('Can register classes and instantiate them with their static decorators.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  class Repository {
+    constructor(db) {
+      this.db = db;
+    }
+  }
+  Repository.$inject = ['db'];
+  Repository.$singleton = true;
+
+  factoryDi.register('db', 'dbValue');
+  factoryDi.register('repository', Repository);
+
+  const repository = factoryDi.resolve('repository');
+
+  test.true(repository instanceof Repository);
+  test.is('dbValue', repository.db);
+  test.is(repository, factoryDi.resolve('repository'));
+  test.is(repository, await factoryDi.resolveAsync('repository'));
+});
+
+ava('Can inject into class constructor arguments with placeholders.', (test) => {
+  const factoryDi = getDiInstance();
+
+  class BaseService {
+    constructor(db, userId) {
+      this.db = db;
+      this.userId = userId;
+    }
+
+    describe() {
+      return `${this.db}:${this.userId}`;
+    }
+  }
+  BaseService.$inject = true;
+  BaseService.$placeholders = ['userId'];
+
+  class UserService extends BaseService {}
+
+  class EmptyService {}
+
+  factoryDi.register('db', 'dbValue');
+  factoryDi.register('userService', UserService);
+  factoryDi.register('emptyService', EmptyService);
+
+  const userService = factoryDi.resolve('userService', {common: {userId: 'user1'}});
+
+  test.true(userService instanceof UserService);
+  test.is('dbValue:user1', userService.describe());
+  test.true(factoryDi.resolve('emptyService') instanceof EmptyService);
+});
+
+ava('Can register constructor functions using the asClass option.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function Logger(prefix) {
+    this.prefix = prefix;
+  }
+  Logger.$inject = ['prefix'];
+
+  factoryDi.register('prefix', 'prefixValue');
+  factoryDi.register('logger', Logger, {asClass: true});
+
+  const logger = factoryDi.resolve('logger');
+
+  test.true(logger instanceof Logger);
+  test.is('prefixValue', logger.prefix);
+});
+
+ava('Validates every registered item without running any factories.', (test) => {
+  const factoryDi = getDiInstance();
+
+  let ranFactory = false;
+
+  function serviceFactory(db, cache, userId) {
+    ranFactory = true;
+    return [db, cache, userId];
+  }
+  serviceFactory.$inject = ['db', 'cache?', 'userId*'];
+
+  function appFactory(service) {
+    return service;
+  }
+  appFactory.$inject = ['service'];
+  appFactory.$singleton = true;
+
+  function aFactory(b) {
+    return b;
+  }
+  aFactory.$inject = ['b'];
+
+  function bFactory(a) {
+    return a;
+  }
+  bFactory.$inject = ['a'];
+
+  function lazyFactory(lazy) {
+    return lazy;
+  }
+  lazyFactory.$inject = ['lazy~'];
+
+  factoryDi.register('service', serviceFactory);
+  factoryDi.register('app', appFactory);
+  factoryDi.register('a', aFactory);
+  factoryDi.register('b', bFactory);
+  factoryDi.register('lazy', lazyFactory);
+
+  const report = factoryDi.validate();
+
+  test.false(ranFactory);
+  test.false(report.isValid);
+  test.deepEqual([{itemName: 'service', dependencyName: 'db'}], report.missing);
+  test.deepEqual([['a', 'b', 'a']], report.cycles);
+  test.deepEqual([{itemName: 'service', placeholderName: 'userId', singletonName: 'app'}], report.placeholders);
+  test.is(report.missing.length + report.cycles.length, report.messages.length);
+  test.is(report.placeholders.length, report.warnings.length);
+
+  const validationError = test.throws(() => {
+    factoryDi.validate({throwIfInvalid: true});
+  }, /FactoryDI Validate Error: The item 'db' injected into 'service' has not been registered/);
+  test.true(validationError instanceof factoryDiFactory.ValidationError);
+  test.is(factoryDiFactory.ERROR_CODES.VALIDATION_FAILED, validationError.code);
+  test.is(report.cycles.length, validationError.report.cycles.length);
+});
+
+ava('Validation passes when every dependency can be resolved.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function serviceFactory(db) {
+    return db;
+  }
+  serviceFactory.$inject = ['db'];
+
+  factoryDi.register('db', 'dbValue');
+  factoryDi.register('service', serviceFactory);
+
+  test.deepEqual(
+    {isValid: true, missing: [], cycles: [], placeholders: [], messages: [], warnings: []},
+    factoryDi.validate({throwIfInvalid: true})
+  );
+});
+
+ava('Validation only warns about placeholder arguments captured by a singleton.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function serviceFactory(userId) {
+    return userId;
+  }
+  serviceFactory.$inject = ['userId*'];
+
+  function appFactory(service) {
+    return service;
+  }
+  appFactory.$inject = ['service'];
+  appFactory.$singleton = true;
+
+  factoryDi.register('service', serviceFactory);
+  factoryDi.register('app', appFactory);
+
+  const report = factoryDi.validate({throwIfInvalid: true});
+
+  test.true(report.isValid);
+  test.deepEqual([], report.messages);
+  test.deepEqual([{itemName: 'service', placeholderName: 'userId', singletonName: 'app'}], report.placeholders);
+  test.is(1, report.warnings.length);
+  test.regex(report.warnings[0], /The placeholder argument 'userId' of 'service' is required/);
+  test.is('user1', factoryDi.resolve('app', {service: {userId: 'user1'}}));
+});
+
+ava('Can export the dependency graph.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function serviceFactory(db, logger) {
+    return [db, logger];
+  }
+  serviceFactory.$inject = ['db', 'logger~?'];
+  serviceFactory.$filename = 'service.js';
+
+  factoryDi.register('service', serviceFactory, {registerSourceFile: 'di.js'});
+  factoryDi.alias('database', 'db');
+
+  const graph = factoryDi.getGraph();
+
+  const serviceNode = graph.nodes.find(({name}) => {
+    return name === 'service';
+  });
+  test.is('service.js', serviceNode.filename);
+  test.is('di.js', serviceNode.registerSourceFile);
+  test.deepEqual(
+    [
+      {from: 'service', to: 'db', isOptional: false, isLazy: false, asFactory: false},
+      {from: 'service', to: 'logger', isOptional: true, isLazy: true, asFactory: false},
+      {from: 'database', to: 'db', isOptional: false, isLazy: false, asFactory: false},
+    ],
+    graph.edges
+  );
+
+  const dot = factoryDi.exportGraph('dot');
+  test.regex(dot, /^digraph factoryDi \{/);
+  test.regex(dot, /"service" -> "logger" \[style=dashed\];/);
+  test.regex(dot, /"db" \[label="db", color=red\];/);
+
+  const mermaid = factoryDi.exportGraph('mermaid');
+  test.regex(mermaid, /^graph TD/);
+  test.regex(mermaid, /\["service"\]/);
+
+  test.deepEqual(graph, JSON.parse(factoryDi.exportGraph('json')));
+
+  test.throws(() => {
+    factoryDi.exportGraph('svg');
+  }, /Unknown graph format 'svg'/);
+});
+
+ava('Singletons that resolve to falsy values are only resolved once.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  let runCount = 0;
+
+  function zeroFactory() {
+    runCount += 1;
+    return 0;
+  }
+  zeroFactory.$singleton = true;
+
+  function nullFactory() {
+    runCount += 1;
+    return null;
+  }
+  nullFactory.$singleton = true;
+
+  factoryDi.register('zero', zeroFactory);
+  factoryDi.register('null', nullFactory);
+  factoryDi.register('flag', false);
+
+  test.is(0, factoryDi.resolve('zero'));
+  test.is(0, factoryDi.resolve('zero'));
+  test.is(null, await factoryDi.resolveAsync('null'));
+  test.is(null, await factoryDi.resolveAsync('null'));
+  test.false(factoryDi.resolve('flag'));
+
+  test.is(2, runCount);
+  test.true(factoryDi.isResolved('flag'));
+});
+
+ava('Can clear a singleton and every singleton that depends on it.', (test) => {
+  const factoryDi = getDiInstance();
+
+  let configCount = 0;
+
+  function configFactory() {
+    configCount += 1;
+    return {version: configCount};
+  }
+  configFactory.$singleton = true;
+
+  function clientFactory(config) {
+    return {config};
+  }
+  clientFactory.$inject = ['settings'];
+  clientFactory.$singleton = true;
+
+  factoryDi.register('config', configFactory);
+  factoryDi.alias('settings', 'config');
+  factoryDi.register('client', clientFactory);
+  factoryDi.register('logger', {level: 'info'});
+
+  factoryDi.resolve('client');
+  factoryDi.resolve('logger');
+
+  test.true(factoryDi.isResolved('config'));
+  test.true(factoryDi.isResolved('settings'));
+  test.false(factoryDi.isResolved('missing'));
+
+  test.deepEqual(['config', 'client'], factoryDi.clearSingleton('settings'));
+
+  test.false(factoryDi.isResolved('config'));
+  test.false(factoryDi.isResolved('client'));
+  test.true(factoryDi.isResolved('logger'));
+
+  test.is(2, factoryDi.resolve('client').config.version);
+});
+
+ava('Can dispose the singletons being cleared.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  const disposed = [];
+
+  function connectionFactory() {
+    return {
+      $dispose: () => {
+        disposed.push('connection');
+      },
+    };
+  }
+  connectionFactory.$singleton = true;
+
+  factoryDi.register('connection', connectionFactory);
+
+  await factoryDi.resolveAsync('connection');
+
+  test.deepEqual(['connection'], factoryDi.clearSingleton('connection', {dispose: true}));
+  test.deepEqual(['connection'], disposed);
+  test.false(factoryDi.isResolved('connection'));
+  test.not(undefined, await factoryDi.resolveAsync('connection'));
+  test.deepEqual([], factoryDi.clearSingleton('missing'));
+});
+
+ava('Can override an item and restore the original registration and singletons.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function signupFactory(mailer) {
+    return {mailer};
+  }
+  signupFactory.$inject = ['mailer'];
+  signupFactory.$singleton = true;
+
+  factoryDi.register('mailer', 'realMailer');
+  factoryDi.register('signup', signupFactory);
+
+  const originalSignup = factoryDi.resolve('signup');
+
+  const restore = factoryDi.override('mailer', 'fakeMailer');
+
+  test.is('fakeMailer', factoryDi.resolve('signup').mailer);
+
+  restore();
+  restore();
+
+  test.is(originalSignup, factoryDi.resolve('signup'));
+  test.is('realMailer', factoryDi.resolve('mailer'));
+
+  const restoreNew = factoryDi.override('newItem', 'newValue');
+  test.is('newValue', factoryDi.resolve('newItem'));
+  restoreNew();
+
+  test.throws(() => {
+    factoryDi.resolve('newItem');
+  }, /The item 'newItem' has not been registered/);
+});
+
+ava('Overrides keep the tags and scoping of the original item.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function requestFactory() {
+    return {request: true};
+  }
+  requestFactory.$scoped = true;
+
+  factoryDi.register('a', 'real', {tags: ['t']});
+  factoryDi.register('request', requestFactory);
+
+  const restoreA = factoryDi.override('a', 'FAKE');
+  test.deepEqual({a: 'FAKE'}, factoryDi.resolveByTag('t'));
+  restoreA();
+
+  const restoreTags = factoryDi.override('a', 'OTHER', {tags: ['other']});
+  test.deepEqual({}, factoryDi.resolveByTag('t'), 'The options can replace the tags.');
+  test.deepEqual({a: 'OTHER'}, factoryDi.resolveByTag('other'));
+  restoreTags();
+
+  const scope = factoryDi.createScope();
+  const restoreRequest = scope.override('request', () => {
+    return {fake: true};
+  });
+
+  const firstScope = scope.createScope();
+  test.is(firstScope.resolve('request'), firstScope.resolve('request'));
+  test.not(firstScope.resolve('request'), scope.createScope().resolve('request'), 'The override is still scoped.');
+  restoreRequest();
+});
+
+ava('Overrides never change the given fake.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function fakeServiceFactory(db) {
+    return `fake:${db}`;
+  }
+  fakeServiceFactory.$inject = ['db'];
+
+  class FakeClient {
+    constructor(db) {
+      this.db = db;
+    }
+  }
+
+  factoryDi.register('db', 'realDb');
+  factoryDi.register('service', 'realService', {tags: ['services']});
+  factoryDi.register('client', 'realClient');
+
+  factoryDi.override('service', fakeServiceFactory);
+  factoryDi.override('client', FakeClient);
+
+  test.deepEqual(['$inject'], Object.keys(fakeServiceFactory));
+  test.deepEqual(['db'], fakeServiceFactory.$inject);
+  test.deepEqual([], Object.keys(FakeClient));
+  test.deepEqual({service: 'fake:realDb'}, factoryDi.resolveByTag('services'));
+  test.is('realDb', factoryDi.resolve('client', {client: {db: 'realDb'}}).db);
+  test.true(factoryDi.resolve('client', {client: {db: 'realDb'}}) instanceof FakeClient);
+});
+
+ava('Restoring an override does not bring back singletons cleared since it was applied.', (test) => {
+  const factoryDi = getDiInstance();
+
+  let serviceCount = 0;
+  function serviceFactory(db) {
+    serviceCount += 1;
+    return {db, id: serviceCount};
+  }
+  serviceFactory.$inject = ['db'];
+  serviceFactory.$singleton = true;
+
+  factoryDi.register('db', 'realDb');
+  factoryDi.register('service', serviceFactory);
+
+  test.is(1, factoryDi.resolve('service').id);
+
+  const restoreDb = factoryDi.override('db', 'fakeDb');
+  factoryDi.clearSingletons();
+  restoreDb();
+
+  test.deepEqual({db: 'realDb', id: 2}, factoryDi.resolve('service'));
+
+  const restoreAgain = factoryDi.override('db', 'fakeDb');
+  test.is('fakeDb', factoryDi.resolve('service').db);
+  restoreAgain();
+
+  test.is(2, factoryDi.resolve('service').id, 'Singletons are still put back when nothing was cleared.');
+});
+
+ava('Restores overrides once the action is finished.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  function signupFactory(mailer, clock) {
+    return `${mailer}:${clock}`;
+  }
+  signupFactory.$inject = ['mailer', 'clock'];
+
+  factoryDi.register('mailer', 'realMailer');
+  factoryDi.register('clock', 'realClock');
+  factoryDi.register('signup', signupFactory);
+
+  const result = factoryDi.withOverrides({mailer: 'fakeMailer', clock: 'fakeClock'}, () => {
+    return factoryDi.resolve('signup');
+  });
+  test.is('fakeMailer:fakeClock', result);
+  test.is('realMailer:realClock', factoryDi.resolve('signup'));
+
+  const asyncResult = await factoryDi.withOverrides({mailer: 'asyncMailer'}, async () => {
+    await Promise.resolve();
+    return factoryDi.resolveAsync('signup');
+  });
+  test.is('asyncMailer:realClock', asyncResult);
+  test.is('realMailer:realClock', factoryDi.resolve('signup'));
+
+  await test.throwsAsync(factoryDi.withOverrides({mailer: 'brokenMailer'}, async () => {
+    throw new Error('Action failed.');
+  }), /Action failed/);
+  test.is('realMailer:realClock', factoryDi.resolve('signup'));
+
+  test.throws(() => {
+    factoryDi.withOverrides({mailer: 'brokenMailer'}, () => {
+      throw new Error('Sync action failed.');
+    });
+  }, /Sync action failed/);
+  test.is('realMailer:realClock', factoryDi.resolve('signup'));
+
+  let actionCount = 0;
+  test.throws(() => {
+    factoryDi.withOverrides({mailer: 'fakeMailer', '': 'invalidName'}, () => {
+      actionCount += 1;
+    });
+  }, /FactoryDI Override Error: No item name given/);
+  test.is(0, actionCount);
+  test.is('realMailer:realClock', factoryDi.resolve('signup'), 'The earlier overrides are restored.');
+});
+
+ava('Can unit test a factory with every dependency stubbed.', async (test) => {
+  function signupFactory(mailer, db, audit, plugins, checks, email) {
+    db.users.insert(email);
+    mailer.send(email, 'Welcome');
+    return {mailer, audit, plugins, checks, saved: db.users.count()};
+  }
+  signupFactory.$inject = ['mailer', 'db', 'audit', 'plugins[]', '#check', 'email*'];
+
+  const fakeAudit = {fake: true};
+
+  const {resolve, resolveAsync, stubs} = createTestInjector(signupFactory, {
+    fakes: {audit: fakeAudit, '#check': {dbCheck: 'dbCheckValue'}},
+  });
+
+  test.deepEqual(['mailer', 'db'], Object.keys(stubs));
+
+  stubs.db.users.count.$returns(1);
+
+  const signup = resolve({email: 'user@example.com'});
+
+  test.is(stubs.mailer, signup.mailer);
+  test.is(fakeAudit, signup.audit);
+  test.deepEqual([], signup.plugins);
+  test.deepEqual({dbCheck: 'dbCheckValue'}, signup.checks);
+  test.is(1, signup.saved);
+  test.is('mailer.send', stubs.mailer.send.$name);
+  test.is('mailer.send', stubs.mailer.send.name, 'Stubs keep their function properties.');
+  test.is(0, stubs.mailer.send.length);
+  test.is('object', typeof stubs.mailer.prototype);
+  test.deepEqual([['user@example.com', 'Welcome']], stubs.mailer.send.$calls);
+  test.deepEqual([['user@example.com']], stubs.db.users.insert.$calls);
+
+  const asyncSignup = await resolveAsync({email: 'other@example.com'});
+  test.is(stubs.mailer, asyncSignup.mailer);
+  test.is(2, stubs.mailer.send.$calls.length);
+
+  test.throws(() => {
+    resolve();
+  }, /requires a value for the non-injected 'email' argument/);
+});
+
+ava('Can register every factory module in a directory.', (test) => {
+  const factoryDi = getDiInstance();
+
+  const exampleDirectory = path.join(__dirname, 'example');
+
+  test.deepEqual(
+    ['cat', 'dog', 'trainer'],
+    factoryDi.registerDirectory(exampleDirectory, {pattern: '*Factory.js', registerSourceFile: __filename})
+  );
+
+  test.is('meow', factoryDi.resolve('trainer').speak('cat'));
+  test.is(path.join(exampleDirectory, 'catFactory.js'), factoryDi.resolve('cat', null, {asFactory: true}).$filename);
+
+  const globalRegexpDi = getDiInstance();
+
+  test.deepEqual(
+    ['cat', 'dog', 'trainer'],
+    globalRegexpDi.registerDirectory(exampleDirectory, {pattern: /Factory\.js$/g, registerSourceFile: __filename})
+  );
+
+  const recursiveDi = getDiInstance();
+
+  test.deepEqual(
+    ['example/dogFactory.js'],
+    recursiveDi.registerDirectory(__dirname, {
+      pattern: '**/dog*.{js,mjs}',
+      recursive: true,
+      naming: (fileName, filePath) => {
+        return path.relative(__dirname, filePath);
+      },
+    })
+  );
+});
+
+ava('Registers a directory from the calling file when no register source is set.', (test) => {
+  const factoryDi = factoryDiFactory();
+
+  test.deepEqual(['cat'], factoryDi.registerDirectory(path.join(__dirname, 'example'), {pattern: 'catFactory.js'}));
+
+  test.is(__filename, factoryDi.resolve('cat', null, {asFactory: true}).$$registerSourceFile);
+});
+
+ava('Skips test modules when registering a directory without a pattern.', async (test) => {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'factory-di-'));
+  const fileNames = ['catFactory.js', 'catFactory.test.js', 'dog.spec.js'];
+
+  await Promise.all(fileNames.map((fileName) => {
+    return fs.promises.writeFile(path.join(directory, fileName), 'module.exports = \'value\';');
+  }));
+
+  try {
+    test.deepEqual(['cat'], getDiInstance().registerDirectory(directory, {registerSourceFile: __filename}));
+    test.deepEqual(
+      ['catFactory', 'catFactory.test', 'dog.spec'],
+      getDiInstance().registerDirectory(directory, {
+        pattern: '*.js',
+        naming: (fileName) => {
+          return fileName;
+        },
+        registerSourceFile: __filename,
+      }),
+      'An explicit pattern can still match test modules.'
+    );
+  } finally {
+    await Promise.all(fileNames.map((fileName) => {
+      return fs.promises.unlink(path.join(directory, fileName));
+    }));
+    await fs.promises.rmdir(directory);
+  }
+});
+
+ava('Checks every directory item name for collisions before registering any of them.', (test) => {
+  const factoryDi = getDiInstance();
+
+  const exampleDirectory = path.join(__dirname, 'example');
+
+  test.throws(() => {
+    factoryDi.registerDirectory(exampleDirectory, {
+      pattern: '{cat,dog}Factory.js',
+      naming: () => {
+        return 'animal';
+      },
+    });
+  }, /Found item name collisions in '.+': 'animal' is used by .+catFactory\.js, .+dogFactory\.js\./);
+
+  factoryDi.register('dog', 'existingDog');
+
+  test.throws(() => {
+    factoryDi.registerDirectory(exampleDirectory, {pattern: '*Factory.js'});
+  }, /'dog' from .+dogFactory\.js is already registered/);
+
+  test.throws(() => {
+    factoryDi.resolve('cat');
+  }, /The item 'cat' has not been registered/);
+
+  const scope = getDiInstance().createScope();
+  scope.register('dog', 'existingDog');
+
+  test.throws(() => {
+    scope.createScope().registerDirectory(exampleDirectory, {pattern: '*Factory.js'});
+  }, /'dog' from .+dogFactory\.js is already registered/, 'Items of the parent scopes are collisions too.');
+});
+
+ava('Converts import.meta.url file URLs to plain paths.', (test) => {
+  const factoryDi = getDiInstance();
+
+  const registerSource = path.join(__dirname, 'example', 'esm', 'example.mjs');
+  const catFilename = path.join(__dirname, 'example', 'esm', 'catFactory.mjs');
+
+  factoryDi.setRegisterSource(url.pathToFileURL(registerSource).href);
+
+  function catFactory() {
+    throw new Error('Hiss');
+  }
+  catFactory.$filename = url.pathToFileURL(catFilename).href;
+
+  function dogFactory() {
+    return 'woof';
+  }
+
+  factoryDi.register('cat', catFactory);
+  factoryDi.register('dog', dogFactory, {
+    filename: url.pathToFileURL(catFilename),
+    registerSourceFile: url.pathToFileURL(__filename).href,
+  });
+
+  test.is(catFilename, catFactory.$filename);
+  test.is(catFilename, dogFactory.$filename);
+  test.is(__filename, dogFactory.$$registerSourceFile);
+  test.is(registerSource, factoryDi.setRegisterSource(null));
+
+  const error = test.throws(() => {
+    factoryDi.resolve('cat');
+  });
+
+  test.true(error.stack.indexOf(`at cat (${catFilename})\n        registered in [${registerSource}]`) !== -1);
+});
+
+ava('Registers the default export of ES modules with their named $ exports as decorators.', (test) => {
+  const factoryDi = getDiInstance();
+
+  const catModule = require('./example/esm/catFactory.mjs'); // eslint-disable-line global-require
+  const trainerModule = require('./example/esm/trainerFactory.mjs'); // eslint-disable-line global-require
+
+  factoryDi.register('cat', catModule);
+  factoryDi.register('trainer', trainerModule);
+
+  test.is('meow', factoryDi.resolve('trainer').speak('cat'));
+  test.is(factoryDi.resolve('trainer'), factoryDi.resolve('trainer'), 'The named $singleton export is used.');
+  test.is(path.join(__dirname, 'example', 'esm', 'trainerFactory.mjs'), trainerModule.default.$filename);
+
+  factoryDi.register('transpiled', {__esModule: true, default: 'value'});
+  test.is('value', factoryDi.resolve('transpiled'));
+
+  const namespaceWithoutDefault = {[Symbol.toStringTag]: 'Module', speak: 'meow'};
+  factoryDi.register('utilities', namespaceWithoutDefault);
+  test.is(namespaceWithoutDefault, factoryDi.resolve('utilities'));
+});
+
+ava('Can register a directory of ES modules.', (test) => {
+  const factoryDi = getDiInstance();
+
+  const esmDirectory = path.join(__dirname, 'example', 'esm');
+
+  test.deepEqual(['cat', 'trainer'], factoryDi.registerDirectory(esmDirectory, {pattern: '*Factory.mjs'}));
+  test.is('meow', factoryDi.resolve('trainer').speak('cat'));
+  test.is(path.join(esmDirectory, 'catFactory.mjs'), factoryDi.resolve('cat', null, {asFactory: true}).$filename);
+});
+
+ava('The ES module entry point exports the same factory and errors.', (test) => {
+  const esmEntry = require('./index.mjs'); // eslint-disable-line global-require
+
+  test.is(factoryDiFactory, esmEntry.default);
+  test.is(factoryDiFactory.NotRegisteredError, esmEntry.NotRegisteredError);
+  test.is(factoryDiFactory.formatError, esmEntry.formatError);
+});
+
+ava('Finds the register source and factory filenames from the call stack when enabled.', (test) => {
+  const factoryDi = getDiInstance();
+
+  const farmFile = path.join(__dirname, 'example', 'farmRegistration.js');
+  const farmLines = fs.readFileSync(farmFile, 'utf8').split('\n'); // eslint-disable-line no-sync
+
+  function findLocation(sourceText) {
+    const lineIndex = farmLines.findIndex((line) => {
+      return line.indexOf(sourceText) !== -1;
+    });
+
+    return `${farmFile}:${lineIndex + 1}:${farmLines[lineIndex].indexOf(sourceText) + 1}`;
+  }
+
+  registerFarm(factoryDi);
+
+  const pigFactory = factoryDi.resolve('pig', null, {asFactory: true});
+  test.is(findLocation('function pigFactory'), pigFactory.$filename);
+  test.is(findLocation('register(\'pig\''), pigFactory.$$registerSourceFile);
+
+  const catFactory = factoryDi.resolve('cat', null, {asFactory: true});
+  test.is(path.join(__dirname, 'example', 'catFactory.js'), catFactory.$filename, 'Factories keep their own $filename.');
+  test.is(findLocation('register(\'cat\''), catFactory.$$registerSourceFile);
+
+  const error = test.throws(() => {
+    factoryDi.resolve('farmer');
+  });
+  test.true(error.stack.indexOf(
+    `at farmer (${findLocation('function farmerFactory')})\n        registered in [${findLocation('register(\'farmer\'')}]`
+  ) !== -1);
+
+  const clonedDi = factoryDi.clone();
+  clonedDi.register('sheep', 'baa');
+
+  clonedDi.setRegisterSource(__dirname);
+  clonedDi.register('goat', 'maa');
+
+  const {nodes} = clonedDi.getGraph();
+  function findRegisterSource(itemName) {
+    return nodes.find(({name}) => {
+      return name === itemName;
+    }).registerSourceFile;
+  }
+
+  test.true(findRegisterSource('sheep').startsWith(`${__filename}:`), 'The clone keeps finding the register source.');
+  test.is(__dirname, findRegisterSource('goat'), 'Set register sources are used first.');
+});
+
+ava('Requires a register source when finding it from the call stack is not enabled.', (test) => {
+  const factoryDi = factoryDiFactory();
+
+  test.throws(() => {
+    factoryDi.register('cat', 'meow', {filename: __filename});
+  }, /no registerSource is defined/);
+
+  factoryDi.setAutoRegisterSource(true);
+  factoryDi.register('cat', 'meow', {filename: __filename});
+  test.is('meow', factoryDi.resolve('cat'));
+
+  factoryDi.setAutoRegisterSource(false);
+
+  test.throws(() => {
+    factoryDi.register('dog', 'woof', {filename: __filename});
+  }, /no registerSource is defined/);
+});
+
+ava('Can register nested config values using dotted names.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function onRetry() {
+    return 'retrying';
+  }
+
+  function clientFactory(host, db) {
+    return `${host}:${db.port}`;
+  }
+  clientFactory.$inject = ['config.db.host', 'config.db'];
+
+  test.deepEqual(
+    ['config', 'config.db', 'config.db.host', 'config.db.port', 'config.onRetry'],
+    factoryDi.registerConfig({db: {host: 'localhost', port: '5432'}, onRetry}, {prefix: 'config'})
+  );
+  factoryDi.register('client', clientFactory);
+
+  test.is('localhost:5432', factoryDi.resolve('client'));
+  test.is(onRetry, factoryDi.resolve('config.onRetry'));
+  test.is('5432', factoryDi.resolve('config').db.port);
+});
+
+ava('Can register environment variables with coercion and defaults.', (test) => {
+  const factoryDi = getDiInstance();
+
+  const env = {
+    DB_HOST: 'db.local',
+    DB_PORT: '5432',
+    DEBUG: 'true',
+    FEATURES: '{"beta": true}',
+    RAW_PORT: '80',
+    ZIP_CODE: '0123',
+  };
+
+  factoryDi.registerEnv({
+    DB_HOST: 'db.host',
+    DB_PORT: 'db.port',
+    DEBUG: 'debug',
+    FEATURES: 'features',
+    RAW_PORT: {name: 'rawPort', type: 'string'},
+    ZIP_CODE: 'zipCode',
+    DB_USER: {name: 'db.user', default: 'admin'},
+    DB_PASSWORD: {name: 'db.password', required: false},
+  }, {env, coerce: true});
+
+  test.is('db.local', factoryDi.resolve('db.host'));
+  test.is(Number(env.DB_PORT), factoryDi.resolve('db.port'));
+  test.true(factoryDi.resolve('debug'));
+  test.deepEqual({beta: true}, factoryDi.resolve('features'));
+  test.is('80', factoryDi.resolve('rawPort'));
+  test.is('0123', factoryDi.resolve('zipCode'), 'Numbers that would lose their text are not coerced.');
+  test.is('admin', factoryDi.resolve('db.user'));
+  test.is(undefined, factoryDi.resolve('db.password'));
+});
+
+ava('Lists every missing or invalid environment variable in one error.', (test) => {
+  const factoryDi = getDiInstance();
+
+  const envError = test.throws(() => {
+    factoryDi.registerEnv({
+      DB_HOST: 'db.host',
+      DB_PORT: {name: 'db.port', type: 'number'},
+      API_KEY: {name: 'api.key'},
+      DEBUG: {name: 'debug', type: 'boolean'},
+    }, {env: {DB_PORT: 'abc', DEBUG: 'yes'}});
+  }, 'FactoryDI Env Error: Missing required environment variables: DB_HOST (db.host), API_KEY (api.key).'
+    + ' Invalid environment variables: DB_PORT (db.port) is not a number, DEBUG (debug) is not a boolean.');
+
+  test.true(envError instanceof factoryDiFactory.EnvError);
+  test.is(factoryDiFactory.ERROR_CODES.INVALID_ENV, envError.code);
+  test.deepEqual(['DB_HOST', 'API_KEY'], envError.missingVariables);
+  test.deepEqual(['DB_PORT', 'DEBUG'], envError.invalidVariables);
+
+  test.throws(() => {
+    factoryDi.resolve('db.port');
+  }, /The item 'db.port' has not been registered/);
+});
+
+ava('Checks the item name of every environment variable before registering any of them.', (test) => {
+  const factoryDi = getDiInstance();
+
+  test.throws(() => {
+    factoryDi.registerEnv({
+      DB_HOST: 'db.host',
+      DB_PORT: {type: 'number'},
+    }, {env: {DB_HOST: 'db.local', DB_PORT: '5432'}});
+  }, 'FactoryDI Register Error: The environment variable \'DB_PORT\' has no item name.');
+
+  test.throws(() => {
+    factoryDi.registerEnv({DB_HOST: 'db.host', DB_USER: null}, {env: {DB_HOST: 'db.local'}});
+  }, /The environment variable 'DB_USER' is not defined by a string or object/);
+
+  test.throws(() => {
+    factoryDi.resolve('db.host');
+  }, /The item 'db.host' has not been registered/);
+});
+
+ava('Applies decorators in registration order and caches the decorated singleton.', (test) => {
+  const factoryDi = getDiInstance();
+
+  const contexts = [];
+
+  function userRepoFactory() {
+    return {name: 'users'};
+  }
+  userRepoFactory.$singleton = true;
+  userRepoFactory.$filename = '/app/userRepo.js';
+
+  function serviceFactory(userRepo) {
+    return {userRepo};
+  }
+  serviceFactory.$inject = ['userRepo'];
+
+  factoryDi.register('userRepo', userRepoFactory);
+  factoryDi.register('service', serviceFactory);
+  factoryDi.alias('users', 'userRepo');
+
+  factoryDi.decorate('userRepo', (instance, context) => {
+    contexts.push(context);
+    return {...instance, timed: true};
+  });
+  factoryDi.decorate(/Repo$/, (instance) => {
+    return {...instance, wrapped: instance};
+  });
+
+  const userRepo = factoryDi.resolve('service').userRepo;
+
+  test.true(userRepo.timed);
+  test.true(userRepo.wrapped.timed);
+  test.is(userRepo, factoryDi.resolve('userRepo'));
+  test.is(userRepo, factoryDi.resolve('users'));
+  test.deepEqual([{itemName: 'userRepo', filename: '/app/userRepo.js', history: ['service', 'userRepo']}], contexts);
+});
+
+ava('Decorates every instance of a non-singleton, including settled async instances.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  let count = 0;
+  factoryDi.register('counter', () => {
+    count += 1;
+    return count;
+  });
+  factoryDi.register('asyncValue', async () => {
+    return 'value';
+  });
+
+  factoryDi.decorate('counter', (instance) => {
+    return `count ${instance}`;
+  });
+  factoryDi.decorate('asyncValue', (instance) => {
+    return `${instance}!`;
+  });
+
+  test.is('count 1', factoryDi.resolve('counter'));
+  test.is('count 2', factoryDi.resolve('counter'));
+  test.is('value!', await factoryDi.resolve('asyncValue'));
+  test.is('value!', await factoryDi.resolveAsync('asyncValue'));
+
+  test.throws(() => {
+    factoryDi.decorate('counter', 'notAFunction');
+  }, 'FactoryDI Decorate Error: The given decorator is not a function.');
+});
+
+ava('Applies the decorators of parent scopes before the decorators of the scope.', (test) => {
+  const factoryDi = getDiInstance();
+
+  factoryDi.register('label', 'item');
+  factoryDi.decorate('label', (instance) => {
+    return `${instance}:parent`;
+  });
+
+  const scope = factoryDi.createScope();
+  scope.register('label', () => {
+    return 'scoped';
+  });
+  scope.decorate('label', (instance) => {
+    return `${instance}:scope`;
+  });
+
+  test.is('item:parent', factoryDi.resolve('label'));
+  test.is('scoped:parent:scope', scope.resolve('label'));
+});
+
+ava('Does not apply the decorators of a scope to the singletons of its parent.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  factoryDi.register('label', 'item');
+  factoryDi.register('greeter', {
+    greet() {
+      return 'hello';
+    },
+  });
+  factoryDi.register('asyncLabel', async () => {
+    return 'asyncItem';
+  }, {forceSingleton: true});
+
+  const calls = [];
+
+  const scope = factoryDi.createScope();
+  scope.decorate(/label/i, (instance) => {
+    return `${instance}:scope`;
+  });
+  scope.intercept('greeter', {
+    before({methodName}) {
+      calls.push(methodName);
+    },
+  });
+
+  test.is('item', scope.resolve('label'));
+  test.is('asyncItem', await scope.resolveAsync('asyncLabel'));
+  test.is('hello', scope.resolve('greeter').greet());
+  test.deepEqual([], calls);
+  test.is(factoryDi.resolve('greeter'), scope.resolve('greeter'), 'The parent caches the undecorated singleton.');
+});
+
+ava('Intercepts method calls on resolved items without changing the original object.', (test) => {
+  const factoryDi = getDiInstance();
+
+  const calls = [];
+
+  const trainer = {
+    name: 'Ash',
+    greet(greeting) {
+      return `${greeting}, ${this.name}`;
+    },
+    fail() {
+      throw new Error('Trainer failed');
+    },
+  };
+
+  factoryDi.register('trainer', trainer);
+
+  const remove = factoryDi.intercept('trainer', {
+    before: ({itemName, methodName, args}) => {
+      calls.push(['before', itemName, methodName, args]);
+    },
+    around: (invocation, proceed) => {
+      return proceed(['Hello']).toUpperCase();
+    },
+    after: ({methodName}, result) => {
+      calls.push(['after', methodName, result]);
+    },
+    onError: ({methodName}, methodError) => {
+      calls.push(['onError', methodName, methodError.message]);
+    },
+  });
+
+  const intercepted = factoryDi.resolve('trainer');
+
+  test.not(trainer, intercepted);
+  test.is('HELLO, ASH', intercepted.greet('Hi'));
+  test.is('Ash', intercepted.name);
+  test.throws(() => {
+    intercepted.fail();
+  }, 'Trainer failed');
+  test.deepEqual([
+    ['before', 'trainer', 'greet', ['Hi']],
+    ['after', 'greet', 'HELLO, ASH'],
+    ['before', 'trainer', 'fail', []],
+    ['onError', 'fail', 'Trainer failed'],
+  ], calls);
+  test.is('Hi, Ash', trainer.greet('Hi'));
+
+  const callCount = calls.length;
+
+  remove();
+
+  test.is('Hi, Ash', intercepted.greet('Hi'));
+  test.is(callCount, calls.length);
+
+  test.throws(() => {
+    factoryDi.intercept('trainer', {});
+  }, /FactoryDI Intercept Error: No handlers given/);
+});
+
+ava('Intercepts frozen items and calls methods on the item itself.', (test) => {
+  const factoryDi = getDiInstance();
+
+  const calls = [];
+
+  // Only the instance itself can read its private state, the same as with #private fields.
+  const privateNames = new WeakMap();
+
+  class Trainer {
+    constructor(name) {
+      privateNames.set(this, name);
+    }
+
+    greet() {
+      if (!privateNames.has(this)) {
+        throw new TypeError('Called on an object that is not a trainer.');
+      }
+
+      return `Hi, ${privateNames.get(this)}`;
+    }
+  }
+
+  const settings = Object.freeze({
+    level: 2,
+    describe() {
+      return `Level ${this.level}`;
+    },
+  });
+
+  factoryDi.register('trainer', new Trainer('Ash'));
+  factoryDi.register('settings', settings);
+
+  factoryDi.intercept(/trainer|settings/, {
+    before: ({methodName}) => {
+      calls.push(methodName);
+    },
+  });
+
+  const trainer = factoryDi.resolve('trainer');
+  const interceptedSettings = factoryDi.resolve('settings');
+
+  test.is('Hi, Ash', trainer.greet());
+  test.is('Level 2', interceptedSettings.describe());
+  test.is(2, interceptedSettings.level);
+  test.deepEqual(['level', 'describe'], Object.keys(interceptedSettings));
+  test.deepEqual(['greet', 'describe'], calls);
+  test.true(Object.isFrozen(settings), 'The frozen item is not changed.');
+});
+
+ava('Intercepted classes can still be constructed.', (test) => {
+  const factoryDi = getDiInstance();
+
+  const calls = [];
+
+  class Cat {
+    constructor(name) {
+      this.name = name;
+    }
+
+    static create(name) {
+      return new this(name);
+    }
+  }
+
+  const FrozenCat = Object.freeze(class FrozenCat extends Cat {
+    static adopt(name) {
+      return new this(name);
+    }
+  });
+
+  factoryDi.register('Cat', () => {
+    return Cat;
+  });
+  factoryDi.register('FrozenCat', () => {
+    return FrozenCat;
+  });
+
+  factoryDi.intercept(/Cat/, {
+    before: ({itemName, methodName}) => {
+      calls.push(`${itemName}.${methodName}`);
+    },
+  });
+
+  const InterceptedCat = factoryDi.resolve('Cat');
+  const InterceptedFrozenCat = factoryDi.resolve('FrozenCat');
+
+  test.is('Tom', new InterceptedCat('Tom').name);
+  test.true(new InterceptedFrozenCat('Kitty') instanceof FrozenCat);
+  test.is('Felix', InterceptedFrozenCat.adopt('Felix').name);
+  test.is('Tiger', InterceptedCat.create('Tiger').name);
+  test.deepEqual(['FrozenCat.adopt', 'Cat.create'], calls);
+
+  test.notThrows(() => {
+    Object.isExtensible(InterceptedFrozenCat);
+  });
+  test.false(Reflect.preventExtensions(InterceptedFrozenCat), 'The shadow of a frozen item must stay extensible.');
+  test.is(FrozenCat.prototype, InterceptedFrozenCat.prototype);
+});
+
+ava('Intercepts async methods once they settle.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  const calls = [];
+
+  factoryDi.register('catRepo', {
+    async find(catName) {
+      return {catName};
+    },
+    async remove() {
+      throw new Error('Can not remove cats');
+    },
+  });
+
+  factoryDi.intercept(/Repo$/, {
+    after: ({itemName, methodName}, result) => {
+      calls.push([itemName, methodName, result]);
+    },
+    onError: ({methodName}, methodError) => {
+      calls.push([methodName, methodError.message]);
+    },
+  });
+
+  const catRepo = await factoryDi.resolveAsync('catRepo');
+
+  test.deepEqual({catName: 'Tom'}, await catRepo.find('Tom'));
+  await test.throwsAsync(catRepo.remove(), 'Can not remove cats');
+  test.deepEqual([
+    ['catRepo', 'find', {catName: 'Tom'}],
+    ['remove', 'Can not remove cats'],
+  ], calls);
+});
+
+ava('Emits events while registering and resolving items.', (test) => {
+  const factoryDi = getDiInstance();
+
+  const events = [];
+
+  factoryDi.on('register', ({itemName}) => {
+    events.push(['register', itemName]);
+  });
+  factoryDi.on('beforeResolve', ({itemName, depth, history}) => {
+    events.push(['beforeResolve', itemName, depth, history]);
+  });
+  const off = factoryDi.on('afterResolve', ({itemName, cacheHit, duration, factoryDuration}) => {
+    test.true(duration >= factoryDuration);
+    events.push(['afterResolve', itemName, cacheHit]);
+  });
+  factoryDi.on('error', ({itemName, error}) => {
+    events.push(['error', itemName, error.message]);
+  });
+
+  function configFactory() {
+    return {};
+  }
+  configFactory.$singleton = true;
+
+  function appFactory(config) {
+    return {config};
+  }
+  appFactory.$inject = ['config'];
+
+  factoryDi.register('config', configFactory);
+  factoryDi.register('app', appFactory);
+  factoryDi.register('broken', () => {
+    throw new Error('Broken factory');
+  });
+
+  factoryDi.resolve('app');
+  factoryDi.resolve('config');
+
+  test.throws(() => {
+    factoryDi.resolve('broken');
+  }, /threw an error: Broken factory/);
+
+  off();
+  factoryDi.resolve('config');
+
+  test.deepEqual([
+    ['register', 'config'],
+    ['register', 'app'],
+    ['register', 'broken'],
+    ['beforeResolve', 'app', 0, ['app']],
+    ['beforeResolve', 'config', 1, ['app', 'config']],
+    ['afterResolve', 'config', false],
+    ['afterResolve', 'app', false],
+    ['beforeResolve', 'config', 0, ['config']],
+    ['afterResolve', 'config', true],
+    ['beforeResolve', 'broken', 0, ['broken']],
+    ['error', 'broken', 'Broken factory'],
+    ['beforeResolve', 'config', 0, ['config']],
+  ], events);
+
+  test.throws(() => {
+    factoryDi.on('resolved', () => {
+      return null;
+    });
+  }, /FactoryDI Event Error: Unknown event 'resolved'/);
+});
+
+ava('Profiles resolves as a timing tree and exports Chrome trace events.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  function dbFactory() {
+    return Promise.resolve({});
+  }
+  dbFactory.$singleton = true;
+
+  function repoFactory(db) {
+    return {db};
+  }
+  repoFactory.$inject = ['db'];
+
+  function serviceFactory(repo, db) {
+    return {repo, db};
+  }
+  serviceFactory.$inject = ['repo', 'db'];
+
+  factoryDi.register('db', dbFactory);
+  factoryDi.register('repo', repoFactory);
+  factoryDi.register('service', serviceFactory);
+
+  const resolveProfile = await factoryDi.profile(() => {
+    return factoryDi.resolveAsync('service');
+  });
+
+  test.truthy(resolveProfile.result.repo);
+  test.is(1, resolveProfile.items.length);
+
+  const [serviceNode] = resolveProfile.items;
+  test.is('service', serviceNode.itemName);
+  test.deepEqual(['db', 'repo'], serviceNode.children.map(({itemName}) => {
+    return itemName;
+  }).sort());
+  test.true(serviceNode.duration >= 0);
+
+  const {traceEvents} = JSON.parse(resolveProfile.toChromeTrace());
+  test.true(traceEvents.length >= serviceNode.children.length + 1);
+  test.deepEqual({name: 'service', cat: 'factory-di', ph: 'X'}, {
+    name: traceEvents[0].name,
+    cat: traceEvents[0].cat,
+    ph: traceEvents[0].ph,
+  });
+
+  const syncProfile = factoryDi.profile(() => {
+    return factoryDi.resolve('db');
+  });
+  test.true(syncProfile.items[0].cacheHit);
+});
+
+ava('Throws structured errors with codes, the item name and the resolve history.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function aFactory(b) {
+    return b;
+  }
+  aFactory.$inject = ['b'];
+
+  function cFactory(d) {
+    return d;
+  }
+  cFactory.$inject = ['d'];
+
+  function dFactory(c) {
+    return c;
+  }
+  dFactory.$inject = ['c'];
+
+  const factoryError = new Error('Database is down');
+
+  factoryDi.register('a', aFactory);
+  factoryDi.register('c', cFactory);
+  factoryDi.register('d', dFactory);
+  factoryDi.register('placeholder', (name) => {
+    return name;
+  });
+  factoryDi.register('broken', () => {
+    throw factoryError;
+  });
+
+  const notRegisteredError = test.throws(() => {
+    factoryDi.resolve('a');
+  }, factoryDiFactory.NotRegisteredError);
+  test.true(notRegisteredError instanceof factoryDiFactory.FactoryDiError);
+  test.is('FACTORY_DI_NOT_REGISTERED', notRegisteredError.code);
+  test.is('b', notRegisteredError.itemName);
+  test.deepEqual(['a', 'b'], notRegisteredError.history.map(({name}) => {
+    return name;
+  }));
+
+  const cyclicError = test.throws(() => {
+    factoryDi.resolve('c');
+  }, factoryDiFactory.CyclicDependencyError);
+  test.is(factoryDiFactory.ERROR_CODES.CYCLIC_DEPENDENCY, cyclicError.code);
+  test.is('c', cyclicError.itemName);
+
+  const missingArgError = test.throws(() => {
+    factoryDi.resolve('placeholder');
+  }, factoryDiFactory.MissingResolveArgError);
+  test.is('name', missingArgError.argName);
+
+  const invalidInjectError = test.throws(() => {
+    function badFactory(first) {
+      return first;
+    }
+    badFactory.$inject = [1];
+    factoryDi.register('bad', badFactory);
+  }, factoryDiFactory.InvalidInjectError);
+  test.is('bad', invalidInjectError.itemName);
+
+  const threwError = test.throws(() => {
+    factoryDi.resolve('broken');
+  }, factoryDiFactory.FactoryThrewError);
+  test.is(factoryError, threwError.cause);
+  test.is('broken', threwError.itemName);
+});
+
+ava('Keeps the code stack and formats errors with the resolve path.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function aFactory(b) {
+    return b;
+  }
+  aFactory.$inject = ['b'];
+
+  const factoryError = new Error('Could not connect');
+
+  factoryDi.register('a', aFactory);
+  factoryDi.register('b', function bFactory() {
+    throw factoryError;
+  });
+
+  const error = test.throws(() => {
+    factoryDi.resolve('a');
+  });
+
+  test.regex(error.codeStack, /at .*resolver\.js/);
+  test.regex(error.stack, /at b \(\?\)[\s\S]*at a \(\?\)[\s\S]*Code Stack[\s\S]*resolver\.js/);
+
+  const formatted = factoryDiFactory.formatError(error);
+  test.regex(formatted, /^FactoryDI Run Error: The factory for 'b' threw an error: Could not connect \[FACTORY_DI_FACTORY_THREW\]/);
+  test.regex(formatted, /at b \(\?\)[\s\S]*at a \(\?\)/);
+  test.true(formatted.indexOf(`Caused By\n${factoryError.stack}`) !== -1);
+  test.is(factoryError.stack, factoryDiFactory.formatError(factoryError));
+});
+
+ava('Suggests registered names and resolve arguments for missing items.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function serviceFactory(userRepository) {
+    return userRepository;
+  }
+  serviceFactory.$inject = ['userRepository'];
+
+  function greeterFactory(greeting) {
+    return greeting;
+  }
+
+  function appFactory(greeting) {
+    return greeting;
+  }
+  appFactory.$inject = ['greeting'];
+
+  factoryDi.register('userRepo', {});
+  factoryDi.register('UserRepository', {});
+  factoryDi.register('service', serviceFactory);
+  factoryDi.register('greeter', greeterFactory);
+  factoryDi.register('app', appFactory);
+
+  const notRegisteredError = test.throws(() => {
+    factoryDi.resolve('service');
+  }, 'FactoryDI Resolve Error: The item \'userRepository\' has not been registered. Did you mean \'UserRepository\' or \'userRepo\'?');
+  test.deepEqual(['UserRepository', 'userRepo'], notRegisteredError.suggestions);
+
+  test.throws(() => {
+    factoryDi.resolve('app');
+  }, /Note: 'greeting' is only a placeholder argument of 'greeter'\. Placeholder arguments are given in the resolve arguments and can not be injected\./);
+});
+
+ava('Suggests resolve argument keys for missing placeholder arguments.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function greeterFactory(userName) {
+    return userName;
+  }
+
+  factoryDi.register('greeter', greeterFactory);
+
+  const typoError = test.throws(() => {
+    factoryDi.resolve('greeter', {greeter: {username: 'Ash'}});
+  }, /requires a value for the non-injected 'userName' argument\. Did you mean 'username'\?$/);
+  test.deepEqual(['username'], typoError.suggestions);
+
+  test.throws(() => {
+    factoryDi.resolve('greeter', {app: {userName: 'Ash'}});
+  }, /Note: 'userName' was given for 'app' in the resolve arguments\. Give it under 'greeter' or 'common' to use it here\.$/);
+});
+
+ava('Checks injected items against their $provides and $expects contracts.', (test) => {
+  const factoryDi = getDiInstance();
+
+  function catFactory() {
+    return {name: 'Tom', speak: 'meow'};
+  }
+  catFactory.$provides = {name: 'string', speak: 'function'};
+
+  function dogFactory() {
+    return {name: 'Rex', legs: '4'};
+  }
+
+  function trainerFactory(cat) {
+    return cat;
+  }
+  trainerFactory.$inject = ['cat'];
+
+  function walkerFactory(dog) {
+    return dog;
+  }
+  walkerFactory.$inject = ['dog'];
+  walkerFactory.$expects = {dog: {name: 'string', legs: 'number', owner: 'string?'}};
+
+  factoryDi.register('cat', catFactory);
+  factoryDi.register('dog', dogFactory);
+  factoryDi.register('trainer', trainerFactory);
+  factoryDi.register('walker', walkerFactory);
+
+  const providesError = test.throws(() => {
+    factoryDi.resolve('trainer');
+  }, factoryDiFactory.ContractMismatchError);
+  test.is(
+    'FactoryDI Contract Error: The item \'cat\' injected into \'trainer\' does not match its contract.'
+    + ' \'speak\' should be a function, but is a string (from the $provides of \'cat\').',
+    providesError.message
+  );
+  test.is('trainer', providesError.consumerName);
+  test.is('cat', providesError.providerName);
+
+  const expectsError = test.throws(() => {
+    factoryDi.resolve('walker');
+  }, /'legs' should be a number, but is a string \(from the \$expects of 'walker'\)\.$/);
+  test.deepEqual([{member: 'legs', expected: 'number', actual: 'string', declaredBy: '$expects'}], expectsError.mismatches);
+
+  factoryDi.setSkipContractChecks(true);
+
+  test.is('meow', factoryDi.resolve('trainer').speak);
+});
+
+ava('Finds factories that return a Promise instead of the declared shape.', async (test) => {
+  const factoryDi = getDiInstance();
+
+  function dbFactory() {
+    return Promise.resolve({query() {
+      return [];
+    }});
+  }
+  dbFactory.$provides = {query: 'function'};
+
+  function repoFactory(db) {
+    return db;
+  }
+  repoFactory.$inject = ['db'];
+
+  factoryDi.register('db', dbFactory);
+  factoryDi.register('repo', repoFactory);
+
+  test.throws(() => {
+    factoryDi.resolve('repo');
+  }, /The item should be an object, but is a promise \(from the \$provides of 'db'\)\./);
+
+  test.is('function', typeof (await factoryDi.resolveAsync('repo')).query);
+});
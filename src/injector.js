@@ -1,7 +1,8 @@
 const lodashForeach = require('lodash/forEach');
 
-const {buildErrorWithStack} = require('./helpers/errorHelper');
+const {InvalidInjectError} = require('./errors');
 const {addToHistory} = require('./helpers/historyHelper');
+const {parseFunctionSignature} = require('./helpers/argumentParser');
 
 /**
  * The request for an item to be injected into the factory.
@@ -11,6 +12,9 @@ const {addToHistory} = require('./helpers/historyHelper');
  * @property {boolean} [isOptional] - Whether or not to throw an error if this item doesn't exist.
  * @property {boolean} [isPlaceholder] - Whether or not the item is a placeholder for a non-injected argument.
  * @property {boolean} [asFactory] - Whether or not to resolve the item to its factory instead of through the factory.
+ * @property {boolean} [isLazy] - Whether or not to inject a function that resolves the item when it is first called.
+ * @property {boolean} [isMulti] - Whether or not to inject the list of every item registered to the collection.
+ * @property {boolean} [isTag] - Whether or not to inject a map of every item registered with the tag.
  */
 
 /**
@@ -19,6 +23,24 @@ const {addToHistory} = require('./helpers/historyHelper');
  */
 const OPTIONAL_CHARACTER = '?';
 
+/**
+ * Character that when placed in an injection name indicates that the item should be resolved lazily.
+ * @const {string}
+ */
+const LAZY_CHARACTER = '~';
+
+/**
+ * Suffix that when placed on an injection name indicates that the item is a collection from registerMulti().
+ * @const {string}
+ */
+const MULTI_SUFFIX = '[]';
+
+/**
+ * Prefix that when placed on an injection name indicates that it is a tag instead of an item name.
+ * @const {string}
+ */
+const TAG_PREFIX = '#';
+
 /**
  * Indicates that all function arguments should be considered placeholder arguments.
  * @const {symbol}
@@ -37,12 +59,6 @@ const PLACEHOLDER_TYPE_OPTIONAL = Symbol('PlaceholderTypeOptional');
  */
 const PLACEHOLDER_TYPE_LIST = Symbol('PlaceholderTypeList');
 
-/**
- * The regexp for parsing the arguments from a function string.
- * @const {RegExp}
- */
-const FUNCTION_ARGUMENT_REGEXP = /^(function[^(]*)?\(([^)]*)\)/;
-
 /**
  * Registers the item in the dependency injector.
  *
@@ -67,9 +83,9 @@ function parseFactoryInject(factory, itemName, registerHistory) {
     return injectionArgs;
   } catch (placeholderError) {
     if (placeholderError.addToStack) {
-      throw buildErrorWithStack(
+      throw new InvalidInjectError(
         placeholderError.message.replace('%s', itemName),
-        registerHistory
+        {itemName, history: registerHistory}
       );
     }
 
@@ -104,7 +120,8 @@ function parseFactoryInjectionArguments(factory) {
       return null;
     }
 
-    const safeName = injectionRequest.replace(/[^a-zA-Z0-9_$]/gi, '');
+    // Dots are kept so nested config values can be injected using their dotted names ('db.host').
+    const safeName = injectionRequest.replace(/[^a-zA-Z0-9_$.]/gi, '');
     if (!safeName) {
       invalidIndexes.push(injectionIndex);
     }
@@ -112,8 +129,19 @@ function parseFactoryInjectionArguments(factory) {
     const asFactory = (injectionRequest.indexOf('()') !== -1);
     const isOptional = (injectionRequest.slice(-1) === OPTIONAL_CHARACTER);
     const isPlaceholder = (injectionRequest.indexOf('*') !== -1);
+    const isLazy = (injectionRequest.indexOf(LAZY_CHARACTER) !== -1);
+    const isMulti = (injectionRequest.indexOf(MULTI_SUFFIX) !== -1);
+    const isTag = (injectionRequest.indexOf(TAG_PREFIX) === 0);
+
+    // Collections and tags are resolved using their suffix or prefix, so it must be kept in the name.
+    let name = safeName;
+    if (isMulti) {
+      name = `${safeName}${MULTI_SUFFIX}`;
+    } else if (isTag) {
+      name = `${TAG_PREFIX}${safeName}`;
+    }
 
-    return {name: safeName, isOptional, asFactory, isPlaceholder};
+    return {name, isOptional, asFactory, isPlaceholder, isLazy, isMulti, isTag};
   });
 
   if (invalidIndexes.length) {
@@ -137,73 +165,100 @@ function parseFactoryInjectionArguments(factory) {
  */
 function parseFactoryPlaceholderArguments(factory, itemName, placeholderType) {
   let placeholderArgs;
+  let lazyArgs = {};
   if (placeholderType === PLACEHOLDER_TYPE_LIST) {
-    placeholderArgs = getFactoryPlaceholderOptions(factory);
+    placeholderArgs = getFactoryNameListOptions(factory, '$placeholders');
+    lazyArgs = getFactoryNameListOptions(factory, '$lazy');
   }
 
-  // Gets the function definition string for the factory and uses a regex to parse the arguments.
-  const argumentsMatch = factory.toString().match(FUNCTION_ARGUMENT_REGEXP);
-  if (!argumentsMatch) {
-    throw buildErrorWithStack(
-      `FactoryDI Inject Error: Could not parse function arguments for '${itemName}'.`,
-      addToHistory([], itemName, factory),
-      true
-    );
-  }
+  const parameters = getFactoryParameters(factory, itemName);
 
-  if (!argumentsMatch[2]) {
-    // The arguments list is empty.
-    return [];
-  }
-
-  // Remove all whitespace from the arguments list.
-  const cleanedArguments = argumentsMatch[2].replace(/[\s\n]/g, '');
-  if (!cleanedArguments) {
-    return [];
+  // Destructured parameters have no name to inject, so they must be defined using an $inject array. When every
+  // argument is a placeholder, nothing is injected by name, so they are fine.
+  const destructuredIndexes = parameters.reduce((indexes, parameter, parameterIndex) => {
+    return (parameter.isDestructured) ? [...indexes, parameterIndex] : indexes;
+  }, []);
+  if (destructuredIndexes.length && placeholderType !== PLACEHOLDER_TYPE_ALL) {
+    const destructuredError = new Error(
+      'FactoryDI Inject Error: Found destructured arguments for \'%s\' on indexes:'
+      + ` ${destructuredIndexes.join(', ')}. Please define these arguments using an $inject array.`
+    );
+    destructuredError.addToStack = true;
+    throw destructuredError;
   }
 
   // Map the function arguments to placeholder arguments.
-  return cleanedArguments.split(',').reduce((final, functionArgument) => {
-    if (!functionArgument) {
-      // The final argument likely had a trailing comma, so skip this one.
+  return parameters.reduce((final, parameter, parameterIndex) => {
+    if (parameter.isRest) {
+      // There is no way to know how many items a rest argument should get, so it is never injected.
       return final;
     }
 
-    let isOptional = (functionArgument.indexOf('=') !== -1);
-    const name = (isOptional) ? functionArgument.split('=')[0] : functionArgument;
+    // Destructured placeholders are named by their position, which is also the name to send their resolve arg as.
+    const name = (parameter.isDestructured) ? `arguments[${parameterIndex}]` : parameter.name;
+    let isOptional = parameter.hasDefault;
 
     let isPlaceholder = (placeholderType === PLACEHOLDER_TYPE_ALL);
+    let isLazy = false;
     if (placeholderType === PLACEHOLDER_TYPE_OPTIONAL) {
       isPlaceholder = Boolean(isOptional);
     } else if (placeholderType === PLACEHOLDER_TYPE_LIST) {
       const fromPlaceholder = placeholderArgs[name];
+      const fromLazy = lazyArgs[name];
       if (fromPlaceholder) {
         isPlaceholder = true;
         isOptional = fromPlaceholder.isOptional;
+      } else if (fromLazy) {
+        isLazy = true;
+        isOptional = fromLazy.isOptional;
       }
     }
 
     final.push(
-      buildInjectionRequest(name, {isOptional, isPlaceholder})
+      buildInjectionRequest(name, {isOptional, isPlaceholder, isLazy})
     );
     return final;
   }, []);
 }
 
 /**
- * Gets the factory placeholder arguments option list.
+ * Gets the parsed parameters of the factory function.
+ *
+ * @param {DecoratedFactory} factory
+ * @param {string} itemName
+ * @returns {FunctionParameter[]}
+ * @throws {Error} - If the factory arguments could not be parsed.
+ */
+function getFactoryParameters(factory, itemName) {
+  const signature = parseFunctionSignature(factory);
+  if (!signature) {
+    throw new InvalidInjectError(
+      `FactoryDI Inject Error: Could not parse function arguments for '${itemName}'.`,
+      {itemName, history: addToHistory([], itemName, factory)}
+    );
+  }
+
+  return signature.parameters;
+}
+
+/**
+ * Gets the factory argument options list for the given decorator.
  * If the factory is not sending an $inject array, it can instead define $placeholders in order to specify which
- * arguments are placeholder arguments and whether or not they are optional.
+ * arguments are placeholder arguments and $lazy to specify which arguments are resolved lazily, as well as whether
+ * or not they are optional.
  *
  * @param {DecoratedFactory} factory
+ * @param {string} decoratorName - Either '$placeholders' or '$lazy'.
  * @returns {Object<name, {isOptional: boolean}>}
- * @throws {Error} - If factory $placeholders is invalid.
+ * @throws {Error} - If the factory decorator is invalid.
  */
-function getFactoryPlaceholderOptions(factory) {
-  const placeholders = factory.$placeholders || [];
+function getFactoryNameListOptions(factory, decoratorName) {
+  const placeholders = factory[decoratorName] || [];
 
   if (!Array.isArray(placeholders)) {
-    const placeholderError = new Error('FactoryDI Inject Error: Non-array value of $placeholders found for \'%s\'.');
+    const placeholderError = new Error(
+      `FactoryDI Inject Error: Non-array value of ${decoratorName} found for '%s'.`
+    );
     placeholderError.addToStack = true;
     throw placeholderError;
   } else if (!placeholders.length) {
@@ -231,7 +286,7 @@ function getFactoryPlaceholderOptions(factory) {
 
   if (invalidIndexes.length) {
     const placeholderError = new Error(
-      `FactoryDI Inject Error: Invalid $placeholders found for '%s' on indexes: ${invalidIndexes.join(', ')}.`
+      `FactoryDI Inject Error: Invalid ${decoratorName} found for '%s' on indexes: ${invalidIndexes.join(', ')}.`
     );
     placeholderError.addToStack = true;
     throw placeholderError;
@@ -244,7 +299,7 @@ function getFactoryPlaceholderOptions(factory) {
  * Builds a new injection request item.
  *
  * @param {string} name
- * @param {{isOptional: boolean, isPlaceholder: boolean, asFactory: boolean}} [optional]
+ * @param {{isOptional: boolean, isPlaceholder: boolean, asFactory: boolean, isLazy: boolean}} [optional]
  * @returns {InjectionRequest}
  */
 function buildInjectionRequest(name, optional) {
@@ -270,28 +325,27 @@ function buildInjectionRequest(name, optional) {
  * @throws {Error} - If the argument counts do not match.
  */
 function validateFunctionArgumentCount(factory, itemName, factoryArgsCount) {
-  const argsMatch = factory.toString().match(FUNCTION_ARGUMENT_REGEXP);
-  if (!argsMatch) {
-    throw buildErrorWithStack(
-      `Factory Inject Error: Could not parse function argument count for '${itemName}'.`,
-      addToHistory([], itemName, factory),
-      true
-    );
-  }
+  const parameters = getFactoryParameters(factory, itemName);
+  const expectedArgsCount = parameters.length;
 
-  const expectedArgsCount = (argsMatch[2]) ? argsMatch[2].split(',').length : 0;
+  // A rest argument can take in any number of injected params.
+  const hasRestArgument = Boolean(expectedArgsCount) && parameters[expectedArgsCount - 1].isRest;
+  if (hasRestArgument && factoryArgsCount >= expectedArgsCount - 1) {
+    return;
+  }
 
   if (factoryArgsCount !== expectedArgsCount) {
-    throw buildErrorWithStack(
+    throw new InvalidInjectError(
       `Factory Inject Error: Found ${factoryArgsCount} injected params for '${itemName}'`
       + `, but expected ${expectedArgsCount}.`
       + ' Make sure all the function arguments are represented in the factory.$inject variable.',
-      addToHistory([], itemName, factory),
-      true
+      {itemName, history: addToHistory([], itemName, factory)}
     );
   }
 }
 
 module.exports = {
+  MULTI_SUFFIX,
+  TAG_PREFIX,
   parseFactoryInject,
 };
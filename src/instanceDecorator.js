@@ -0,0 +1,95 @@
+const {invokeFactory} = require('./runner');
+const {copyFactoryDecorators} = require('./helpers/factoryHelper');
+
+/**
+ * Wraps or replaces the instance a factory produced.
+ *
+ * @callback InstanceDecorator
+ * @param {*} instance - The instance, as returned by the factory or the previous decorator.
+ * @param {DecoratorContext} context
+ * @returns {*} - The instance to use instead.
+ */
+
+/**
+ * Describes the item being decorated.
+ *
+ * @typedef {Object} DecoratorContext
+ * @property {string} itemName - The name the item is registered as (never an alias).
+ * @property {?string} filename - The path to the item's factory.
+ * @property {string[]} history - The names of every item in the resolve path, ending with this item.
+ */
+
+/**
+ * A decorator registered in the injector.
+ *
+ * @typedef {Object} DecoratorEntry
+ * @property {string|RegExp} matcher - The item name, or a regexp the item name must match.
+ * @property {InstanceDecorator} decorator
+ */
+
+/**
+ * Wraps the factory so every instance it produces is passed through the matching decorators, in the order they
+ * were registered. Instances that are promises are decorated once they settle.
+ *
+ * @param {DecoratedFactory} factory
+ * @param {DecoratorEntry[]} decoratorEntries
+ * @param {string} itemName
+ * @param {Array<{}>} resolveHistory
+ * @returns {DecoratedFactory} - The given factory if no decorators match the item.
+ */
+function decorateFactory(factory, decoratorEntries, itemName, resolveHistory) {
+  const matchingEntries = (decoratorEntries || []).filter(({matcher}) => {
+    return matchesItemName(matcher, itemName);
+  });
+
+  if (!matchingEntries.length) {
+    return factory;
+  }
+
+  const context = {
+    itemName,
+    filename: factory.$filename || null,
+    history: resolveHistory.map(({name}) => {
+      return name;
+    }),
+  };
+
+  const applyDecorators = (instance) => {
+    return matchingEntries.reduce((decoratedInstance, {decorator}) => {
+      return decorator(decoratedInstance, context);
+    }, instance);
+  };
+
+  const decoratedFactory = function decoratedFactory(...factoryArgs) {
+    const instance = invokeFactory(factory, factoryArgs);
+
+    if (instance && typeof instance.then === 'function') {
+      return instance.then(applyDecorators);
+    }
+
+    return applyDecorators(instance);
+  };
+
+  // Make sure the decorators carry through.
+  return copyFactoryDecorators(factory, decoratedFactory);
+}
+
+/**
+ * Checks if the decorator matcher matches the item name.
+ *
+ * @param {string|RegExp} matcher
+ * @param {string} itemName
+ * @returns {boolean}
+ */
+function matchesItemName(matcher, itemName) {
+  if (matcher instanceof RegExp) {
+    // Search ignores the lastIndex of global regexps, so the same regexp always gives the same result.
+    return itemName.search(matcher) !== -1;
+  }
+
+  return matcher === itemName;
+}
+
+module.exports = {
+  decorateFactory,
+};
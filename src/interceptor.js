@@ -0,0 +1,263 @@
+/**
+ * The handlers that run around every method call on an intercepted item.
+ *
+ * @typedef {Object} InterceptHandlers
+ * @property {function(MethodInvocation)} [before] - Runs before the method.
+ * @property {function(MethodInvocation, *)} [after] - Runs with the (settled) result once the method returns.
+ * @property {function(MethodInvocation, function(Array<*>=): *): *} [around] - Runs instead of the method. It gets a
+ *           proceed function that calls the method (with new arguments, if given) and returns its result.
+ * @property {function(MethodInvocation, Error)} [onError] - Runs when the method throws or rejects. The error is
+ *           thrown again afterwards.
+ */
+
+/**
+ * Describes a method call on an intercepted item.
+ *
+ * @typedef {Object} MethodInvocation
+ * @property {string} itemName
+ * @property {string} methodName
+ * @property {Array<*>} args
+ */
+
+/**
+ * The names of the handlers that can be given.
+ * @const {string[]}
+ */
+const HANDLER_NAMES = ['before', 'after', 'around', 'onError'];
+
+/**
+ * Checks that the handlers can be used to intercept an item.
+ *
+ * @param {InterceptHandlers} handlers
+ * @throws {Error} - If there are no handlers or any of them is not a function.
+ */
+function assertValidHandlers(handlers) {
+  if (!handlers || typeof handlers !== 'object') {
+    throw new Error('FactoryDI Intercept Error: The given handlers are not an object.');
+  }
+
+  const givenNames = HANDLER_NAMES.filter((handlerName) => {
+    return handlers[handlerName] !== undefined;
+  });
+
+  if (!givenNames.length) {
+    throw new Error(`FactoryDI Intercept Error: No handlers given. Use any of ${HANDLER_NAMES.join(', ')}.`);
+  }
+
+  givenNames.forEach((handlerName) => {
+    if (typeof handlers[handlerName] !== 'function') {
+      throw new Error(`FactoryDI Intercept Error: The '${handlerName}' handler is not a function.`);
+    }
+  });
+}
+
+/**
+ * Builds a decorator that wraps instances in a Proxy that runs the handlers around every method call.
+ * The instance itself is never changed. Once the interceptor is disabled, the proxies call the methods directly.
+ *
+ * @param {InterceptHandlers} handlers
+ * @param {function(): boolean} isEnabled
+ * @returns {InstanceDecorator}
+ */
+function buildInterceptDecorator(handlers, isEnabled) {
+  return (instance, {itemName}) => {
+    if (!instance || (typeof instance !== 'object' && typeof instance !== 'function')) {
+      return instance;
+    }
+
+    const interceptedMethods = new Map();
+
+    // Set once the handler is built. The methods use it to tell calls through the proxy apart.
+    let proxy = null;
+
+    const interceptHandler = {
+      get(target, property) {
+        // Read from the instance itself, so getters can use its private fields.
+        const value = Reflect.get(instance, property, instance);
+
+        if (!isInterceptedMethod(property, value)) {
+          return value;
+        }
+
+        const cached = interceptedMethods.get(property);
+        if (cached && cached.method === value) {
+          return cached.interceptedMethod;
+        }
+
+        const interceptedMethod = function interceptedMethod(...methodArgs) {
+          // Methods called through the proxy are called on the instance, so they can use its private fields.
+          const thisArg = (this === proxy) ? instance : this;
+
+          if (!isEnabled()) {
+            return value.apply(thisArg, methodArgs);
+          }
+
+          const invocation = {itemName, methodName: property, args: methodArgs};
+
+          return invokeMethod(handlers, invocation, (args) => {
+            return value.apply(thisArg, args);
+          });
+        };
+
+        interceptedMethods.set(property, {method: value, interceptedMethod});
+
+        return interceptedMethod;
+      },
+    };
+
+    proxy = (hasLockedProperties(instance))
+      ? new Proxy(buildShadowTarget(instance), {...buildShadowHandler(instance), get: interceptHandler.get})
+      : new Proxy(instance, interceptHandler);
+
+    return proxy;
+  };
+}
+
+/**
+ * Checks whether the property is a method that is intercepted.
+ *
+ * @param {string|symbol} property
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isInterceptedMethod(property, value) {
+  return typeof value === 'function' && typeof property !== 'symbol' && property !== 'constructor';
+}
+
+/**
+ * Checks whether the instance has methods that can not be changed or reconfigured (such as the methods of a frozen
+ * object). A Proxy must return the exact value of those properties, so it can not intercept them.
+ * Other locked properties (such as the prototype of a class) are returned as they are, so they need no shadow.
+ *
+ * @param {Object|function} instance
+ * @returns {boolean}
+ */
+function hasLockedProperties(instance) {
+  return Reflect.ownKeys(instance).some((propertyKey) => {
+    const descriptor = Reflect.getOwnPropertyDescriptor(instance, propertyKey);
+
+    return !descriptor.configurable && descriptor.writable === false
+      && isInterceptedMethod(propertyKey, descriptor.value);
+  });
+}
+
+/**
+ * Builds the object the Proxy wraps instead of an instance with locked properties. It has none of the instance's
+ * properties, so the Proxy can return the intercepted methods.
+ *
+ * @param {Object|function} instance
+ * @returns {Object|function}
+ */
+function buildShadowTarget(instance) {
+  // Bound functions have no prototype property, so the shadow of a function has no locked properties either, but
+  // can still be called and constructed. The traps forward both to the instance, so the shadow itself is never run.
+  const shadowTarget = (typeof instance === 'function')
+    ? function shadowFunction() {
+      return undefined;
+    }.bind(null) // eslint-disable-line no-extra-bind
+    : {};
+
+  return Object.setPrototypeOf(shadowTarget, Reflect.getPrototypeOf(instance));
+}
+
+/**
+ * Builds the Proxy handler that forwards everything on the shadow target to the instance.
+ * The instance's properties are reported as configurable, since the shadow target does not have them. For the same
+ * reason the shadow target must stay extensible, so the Proxy reports itself as extensible and can not be made
+ * non-extensible.
+ *
+ * @param {Object|function} instance
+ * @returns {Object<string, function>}
+ */
+function buildShadowHandler(instance) {
+  return {
+    apply(shadowTarget, thisArg, args) {
+      return Reflect.apply(instance, thisArg, args);
+    },
+    construct(shadowTarget, args, newTarget) {
+      return Reflect.construct(instance, args, newTarget);
+    },
+    set(shadowTarget, property, value) {
+      return Reflect.set(instance, property, value);
+    },
+    has(shadowTarget, property) {
+      return Reflect.has(instance, property);
+    },
+    ownKeys() {
+      return Reflect.ownKeys(instance);
+    },
+    getOwnPropertyDescriptor(shadowTarget, property) {
+      const descriptor = Reflect.getOwnPropertyDescriptor(instance, property);
+
+      return (descriptor) ? {...descriptor, configurable: true} : undefined;
+    },
+    defineProperty(shadowTarget, property, descriptor) {
+      return Reflect.defineProperty(instance, property, descriptor);
+    },
+    deleteProperty(shadowTarget, property) {
+      return Reflect.deleteProperty(instance, property);
+    },
+    getPrototypeOf() {
+      return Reflect.getPrototypeOf(instance);
+    },
+    isExtensible(shadowTarget) {
+      return Reflect.isExtensible(shadowTarget);
+    },
+    preventExtensions() {
+      return false;
+    },
+  };
+}
+
+/**
+ * Calls the method with the handlers, waiting for promises so async methods are handled once they settle.
+ *
+ * @param {InterceptHandlers} handlers
+ * @param {MethodInvocation} invocation
+ * @param {function(Array<*>): *} callMethod
+ * @returns {*} - The result of the method (or the around handler).
+ * @throws {Error} - If the method or a handler throws.
+ */
+function invokeMethod(handlers, invocation, callMethod) {
+  const {before, after, around, onError} = handlers;
+
+  const handleError = (methodError) => {
+    if (onError) {
+      onError(invocation, methodError);
+    }
+    throw methodError;
+  };
+
+  const handleResult = (result) => {
+    if (after) {
+      after(invocation, result);
+    }
+    return result;
+  };
+
+  let result;
+  try {
+    if (before) {
+      before(invocation);
+    }
+
+    const proceed = (newArgs) => {
+      return callMethod(newArgs || invocation.args);
+    };
+
+    result = (around) ? around(invocation, proceed) : proceed();
+  } catch (methodError) {
+    return handleError(methodError);
+  }
+
+  if (result && typeof result.then === 'function') {
+    return result.then(handleResult, handleError);
+  }
+
+  return handleResult(result);
+}
+
+module.exports = {
+  assertValidHandlers,
+  buildInterceptDecorator,
+};
@@ -0,0 +1,165 @@
+const {performance} = require('perf_hooks');
+
+/**
+ * The time spent resolving an item, with the items resolved to inject into it.
+ * Times are in milliseconds, from performance.now().
+ *
+ * @typedef {Object} TimingNode
+ * @property {string} itemName
+ * @property {string[]} history - The names of every item in the resolve path, ending with this item.
+ * @property {number} startTime
+ * @property {?number} duration - The time until the instance was made, including the children. Null if the item
+ *           never finished resolving (such as items resolved as factories but never run).
+ * @property {?number} factoryDuration - The time the factory itself took to run.
+ * @property {boolean} cacheHit - Whether or not the item was an already resolved singleton.
+ * @property {?Error} error - The error thrown by the factory, if it failed.
+ * @property {TimingNode[]} children
+ */
+
+/**
+ * The result of profiling the injector.
+ *
+ * @typedef {Object} ResolveProfile
+ * @property {*} result - The value returned by the profiled function.
+ * @property {TimingNode[]} items - The timing tree of every item resolved directly by the profiled function.
+ * @property {function(): string} toChromeTrace - Exports the timings as Chrome trace-event JSON, which can be opened
+ *           in the Performance panel of Chrome DevTools.
+ */
+
+/**
+ * The category of every exported trace event.
+ * @const {string}
+ */
+const TRACE_CATEGORY = 'factory-di';
+
+/**
+ * The number of trace-event microseconds in a performance.now() millisecond.
+ * @const {number}
+ */
+const MICROSECONDS_PER_MILLISECOND = 1000;
+
+/**
+ * Creates a profiler that builds a timing tree from the resolve events.
+ * Items are placed under the item that resolved them using their resolve history, so concurrent async resolves
+ * are still placed correctly.
+ *
+ * @returns {{
+ *   handlers: Object<string, function(ResolveEvent)>,
+ *   buildProfile: function(*): ResolveProfile
+ * }}
+ */
+function createProfiler() {
+  const rootNodes = [];
+  const openNodes = [];
+
+  const findOpenNode = (history) => {
+    const historyKey = history.join('\n');
+
+    for (let index = openNodes.length - 1; index >= 0; index -= 1) {
+      if (openNodes[index].history.join('\n') === historyKey) {
+        return openNodes[index];
+      }
+    }
+
+    return null;
+  };
+
+  const closeNode = (timingNode) => {
+    openNodes.splice(openNodes.indexOf(timingNode), 1);
+  };
+
+  const handlers = {
+    beforeResolve({itemName, history}) {
+      const timingNode = {
+        itemName,
+        history,
+        startTime: performance.now(),
+        duration: null,
+        factoryDuration: null,
+        cacheHit: false,
+        error: null,
+        children: [],
+      };
+
+      const parentNode = findOpenNode(history.slice(0, -1));
+      if (parentNode) {
+        parentNode.children.push(timingNode);
+      } else {
+        rootNodes.push(timingNode);
+      }
+
+      openNodes.push(timingNode);
+    },
+
+    afterResolve({history, startTime, duration, factoryDuration, cacheHit}) {
+      // Factories that run again (such as ones injected as factories) have no open node, so they are skipped.
+      const timingNode = findOpenNode(history);
+      if (!timingNode) {
+        return;
+      }
+
+      Object.assign(timingNode, {startTime, duration, factoryDuration, cacheHit});
+      closeNode(timingNode);
+    },
+
+    error({history, error}) {
+      const timingNode = history && findOpenNode(history);
+      if (!timingNode) {
+        return;
+      }
+
+      timingNode.error = error;
+      timingNode.duration = performance.now() - timingNode.startTime;
+      closeNode(timingNode);
+    },
+  };
+
+  return {
+    handlers,
+    buildProfile(result) {
+      return {
+        result,
+        items: rootNodes,
+        toChromeTrace() {
+          return JSON.stringify({traceEvents: buildTraceEvents(rootNodes)});
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Converts the timing tree into Chrome 'complete' trace events.
+ *
+ * @param {TimingNode[]} timingNodes
+ * @returns {Array<{}>}
+ */
+function buildTraceEvents(timingNodes) {
+  return timingNodes.reduce((traceEvents, timingNode) => {
+    if (timingNode.duration !== null) {
+      traceEvents.push({
+        name: timingNode.itemName,
+        cat: TRACE_CATEGORY,
+        ph: 'X',
+        ts: Math.round(timingNode.startTime * MICROSECONDS_PER_MILLISECOND),
+        dur: Math.round(timingNode.duration * MICROSECONDS_PER_MILLISECOND),
+        pid: process.pid,
+        tid: 1,
+        args: {
+          history: timingNode.history.join(' > '),
+          cacheHit: timingNode.cacheHit,
+          factoryDuration: timingNode.factoryDuration,
+          error: (timingNode.error) ? String(timingNode.error.message || timingNode.error) : undefined,
+        },
+      });
+    }
+
+    traceEvents.push(...buildTraceEvents(timingNode.children));
+
+    return traceEvents;
+  }, []);
+}
+
+module.exports = {
+  createProfiler,
+};
@@ -1,6 +1,10 @@
 const {buildErrorWithStack} = require('./helpers/errorHelper');
 const {addToHistory} = require('./helpers/historyHelper');
+const {captureCallerSource, findFactorySource, formatSourceLocation} = require('./helpers/callSiteHelper');
+const {normalizeFilePath} = require('./helpers/moduleHelper');
 const {parseFactoryInject} = require('./injector');
+const {parseFunctionSignature} = require('./helpers/argumentParser');
+const {emitEvent} = require('./tracer');
 
 /**
  * Registers the item in the dependency injector.
@@ -12,26 +16,18 @@ const {parseFactoryInject} = require('./injector');
  * @returns {InjectorState}
  */
 function registerFactory(injectorState, itemName, factory, options) {
-  if (options.forceSingleton) {
-    // Override the factory's singleton decorator to force it to be a singleton factory.
-    factory.$singleton = true;
-  }
+  applyOptionDecorators(factory, options);
+  applyRegisterSource(injectorState, factory, options);
 
-  if (options.filename) {
-    // Override the factory's filename path with the given one.
-    factory.$filename = options.filename;
-  }
+  const registerHistory = addToHistory([], itemName, factory);
 
-  if (options.registerSourceFile) {
-    factory.$$registerSourceFile = options.registerSourceFile;
-  } else if (injectorState.meta.registerSourceFile) {
-    factory.$$registerSourceFile = injectorState.meta.registerSourceFile;
-  } else {
-    factory.$$registerSourceFile = undefined;
+  if (factory.$tags && !Array.isArray(factory.$tags)) {
+    throw buildErrorWithStack(
+      `FactoryDI Register Error: Invalid non-array $tags found for '${itemName}'.`,
+      registerHistory
+    );
   }
 
-  const registerHistory = addToHistory([], itemName, factory);
-
   if (!options.skipTraceErrors && !injectorState.meta.skipTraceErrors) {
     validateFactory(factory, itemName, registerHistory);
   }
@@ -46,11 +42,75 @@ function registerFactory(injectorState, itemName, factory, options) {
     },
   };
 
+  emitEvent(injectorState, 'register', {itemName, factory});
+
   return {
     state: newState,
   };
 }
 
+/**
+ * Applies the decorators given in the register options to the factory, overriding the factory's own decorators.
+ *
+ * @param {DecoratedFactory} factory
+ * @param {RegisterOptions} options
+ */
+function applyOptionDecorators(factory, options) {
+  if (options.forceSingleton) {
+    // Override the factory's singleton decorator to force it to be a singleton factory.
+    factory.$singleton = true;
+  }
+
+  if (options.filename) {
+    // Override the factory's filename path with the given one.
+    factory.$filename = options.filename;
+  }
+
+  if (factory.$filename) {
+    // ES modules use import.meta.url, which is a file URL instead of a path.
+    factory.$filename = normalizeFilePath(factory.$filename);
+  }
+
+  if (options.asClass || isClassConstructor(factory)) {
+    // Classes can not be called like functions, so they are instantiated using `new` when they are run.
+    factory.$asClass = true;
+  }
+
+  if (options.tags) {
+    // Override the factory's tags with the given ones.
+    factory.$tags = options.tags;
+  }
+}
+
+/**
+ * Sets the register source file of the factory from the options, the injector, or else (if enabled) the call stack.
+ *
+ * @param {InjectorState} injectorState
+ * @param {DecoratedFactory} factory
+ * @param {RegisterOptions} options
+ */
+function applyRegisterSource(injectorState, factory, options) {
+  const callerSource = (injectorState.meta.autoRegisterSource) ? captureCallerSource() : null;
+
+  if (options.registerSourceFile) {
+    factory.$$registerSourceFile = normalizeFilePath(options.registerSourceFile);
+  } else if (injectorState.meta.registerSourceFile) {
+    factory.$$registerSourceFile = normalizeFilePath(injectorState.meta.registerSourceFile);
+  } else if (callerSource) {
+    factory.$$registerSourceFile = formatSourceLocation(callerSource);
+  } else {
+    factory.$$registerSourceFile = undefined;
+  }
+
+  if (callerSource && !factory.$filename) {
+    // Factories defined in the module that registers them can be found in its source.
+    const factorySource = findFactorySource(factory, callerSource.filename);
+    if (factorySource) {
+      factory.$filename = formatSourceLocation(factorySource);
+    }
+  }
+}
+
 /**
  * Validates that the factory has the proper decorators defined before registering it.
  *
@@ -60,7 +120,8 @@ function registerFactory(injectorState, itemName, factory, options) {
  * @throws {Error} - If the register source file for the factory is not defined.
  */
 function validateFactory(factory, itemName, registerHistory) {
-  if (!factory.$filename) {
+  // Aliases and collections are defined where they are registered, so they have no file of their own.
+  if (!factory.$filename && !factory.$$aliasOf && !factory.$$contributions) {
     console.log( // eslint-disable-line no-console
       `FactoryDI Register Error: Warning: No $filename found for item '${itemName}' when being registered.`
       + ' Please make sure the $filename property is defined on this item\'s factory.'
@@ -77,6 +138,18 @@ function validateFactory(factory, itemName, registerHistory) {
   }
 }
 
+/**
+ * Checks whether the factory is defined using the class syntax.
+ *
+ * @param {DecoratedFactory} factory
+ * @returns {boolean}
+ */
+function isClassConstructor(factory) {
+  const signature = parseFunctionSignature(factory);
+
+  return Boolean(signature && signature.isClass);
+}
+
 module.exports = {
   registerFactory,
 };
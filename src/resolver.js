@@ -1,9 +1,36 @@
+const lodashFindLastIndex = require('lodash/findLastIndex');
 const lodashSome = require('lodash/some');
 const lodashPartial = require('lodash/partial');
+const lodashSortBy = require('lodash/sortBy');
+const lodashZipObject = require('lodash/zipObject');
 
-const {buildErrorWithStack} = require('./helpers/errorHelper');
+const {CyclicDependencyError, NotRegisteredError, SingletonPendingError} = require('./errors');
 const {runFactory} = require('./runner');
-const {addToHistory} = require('./helpers/historyHelper');
+const {decorateFactory} = require('./instanceDecorator');
+const {assertInjectedContract} = require('./contracts');
+const {traceCacheHit, traceFactory, traceResolveStart} = require('./tracer');
+const {MULTI_SUFFIX, TAG_PREFIX} = require('./injector');
+const {copyFactoryDecorators} = require('./helpers/factoryHelper');
+const {addLazyBoundary, addToHistory, getLastItemName} = require('./helpers/historyHelper');
+const {formatHints, getMissingItemHints} = require('./helpers/suggestionHelper');
+const {
+  addSingleton,
+  findSingletonOwner,
+  getAllRegistered,
+  getChainFactories,
+  getFactoryContext,
+  getScopeDecorators,
+  getScopeFactory,
+  getSingleton,
+  hasSingleton,
+} = require('./helpers/scopeHelper');
+
+/**
+ * The singleton promises of resolveAsync() that have not settled yet.
+ *
+ * @type {WeakSet<Promise>}
+ */
+const pendingSingletonPromises = new WeakSet();
 
 /**
  * The decorated factory.
@@ -12,12 +39,21 @@ const {addToHistory} = require('./helpers/historyHelper');
  * @property {InjectionRequest[]} $inject - The items that should be injected into the factory when resolving it.
  * @property {string} [$placeholders] - The list of function arguments that are placeholders.
  *                                      Used if $inject is not a list.
+ * @property {string} [$lazy] - The list of function arguments that are resolved lazily. Used if $inject is not a list.
  * @property {boolean} [$singleton] - Whether or not to resolve this factory only once and always return the same value.
+ * @property {boolean} [$scoped] - Whether or not to resolve this factory only once per scope.
+ * @property {boolean} [$asClass] - Whether or not the factory is a class that must be instantiated using `new`.
+ * @property {function(*)} [$dispose] - Tears down the resolved singleton instance when the injector is disposed.
  * @property {string} [$filename] - The path to the factory (usually __filename in the factory file).
  * @property {string} [$$registerSourceFile] - The path to where the factory was registered (also usually __filename).
  * @property {PlaceholderArgument[]} [$$placeholderArgs] - The non-injected arguments the factory can take in.
  * @property {boolean} [$$isUndefined] - Whether or not this factory only returns undefined.
  * @property {boolean} [$$isSingleton] - Whether or not this factory only returns a singleton.
+ * @property {string} [$$aliasOf] - The name of the item this alias resolves to.
+ * @property {Array<{name: string, order: number}>} [$$contributions] - The items registered to this collection.
+ * @property {string[]} [$tags] - The tags used to find this item using resolveByTag() or a '#tag' injection.
+ * @property {ContractShape} [$provides] - The shape of the instance the factory makes, checked when it is injected.
+ * @property {Object<name, ContractShape>} [$expects] - The shape each injected item must have, by injection name.
  */
 
 /**
@@ -28,33 +64,126 @@ const {addToHistory} = require('./helpers/historyHelper');
  * @property {boolean} [isOptional] - Whether or not to throw an error if the placeholder argument is not provided.
  */
 
+/**
+ * Resolves the item through the injector at the time a lazy dependency is first used.
+ *
+ * @callback ResolveLazy
+ * @param {InjectorState} injectorState - The state of the scope the item is resolved in.
+ * @param {string} itemName
+ * @param {{}} resolveArgs
+ * @param {Array<{}>} resolveHistory
+ * @param {{isOptional: boolean, asFactory: boolean}} options
+ * @returns {*} - The item, or a Promise of its settled value when the lazy dependency was injected by an async resolve.
+ */
+
+/**
+ * The options for resolving an item.
+ *
+ * @typedef {Object} ResolveOptions
+ * @property {ResolveLazy} resolveLazy - Resolves lazy dependencies when they are first used.
+ * @property {boolean} [isOptional] - Whether or not to throw an error if the item is not registered.
+ */
+
+/**
+ * The result of looking up an item to resolve.
+ * Items that are already resolved (or optional and not registered) only have their resolved factory, while any other
+ * item has the factory that still needs to be injected and run.
+ *
+ * @typedef {Object} FoundFactory
+ * @property {Array<{}>} history - The resolve history, including the item (and any aliases that led to it).
+ * @property {DecoratedFactory} [resolvedFactory] - The factory for the already resolved item.
+ * @property {DecoratedFactory} [registeredFactory] - The registered factory of the item, after following any aliases.
+ * @property {string} [itemName] - The name of the registered item, after following any aliases.
+ */
+
 /**
  * Resolves the item as a factory.
  *
- * @param {InjectorState} injectorState
+ * @param {ResolveContext} context
+ * @param {string} itemName
+ * @param {{}} resolveArgs
+ * @param {Array<{}>} [resolveHistory] - The trace of every ancestor that was resolved before.
+ * @param {ResolveOptions} options
+ * @returns {{resolvedFactory: DecoratedFactory, history: Array<{}>}}
+ */
+function resolveFactory(context, itemName, resolveArgs, resolveHistory, options) {
+  const {isOptional, resolveLazy} = options;
+
+  const found = findFactory(context, itemName, resolveArgs, resolveHistory, isOptional);
+  if (!found.registeredFactory) {
+    return found;
+  }
+
+  // Aliases resolve through the item they point to, so use the name of the item that is actually registered.
+  const {registeredFactory, history, itemName: registeredName} = found;
+
+  assertSingletonNotPending(context, registeredName, registeredFactory, history);
+  const resolveStartTime = traceResolveStart(context.session.origin, registeredName, history);
+
+  // Singletons of a parent scope are resolved (and decorated) in that scope, since every scope below it shares them.
+  const factoryContext = getFactoryContext(context, registeredName, registeredFactory);
+
+  const curriedFactory = dependencyInjectFactory(
+    factoryContext,
+    registeredFactory,
+    registeredName,
+    resolveArgs || {},
+    history,
+    resolveLazy
+  );
+
+  const injectedFactory = wrapInjectedFactory(
+    factoryContext,
+    curriedFactory,
+    registeredName,
+    history,
+    resolveStartTime
+  );
+
+  if (isCachedFactory(registeredFactory)) {
+    const singletonInstance = runFactory(injectedFactory, resolveArgs, registeredName, history);
+
+    return {
+      resolvedFactory: cacheSingleton(context, registeredName, singletonInstance),
+      history,
+    };
+  }
+
+  return {
+    resolvedFactory: injectedFactory,
+    history,
+  };
+}
+
+/**
+ * Looks up the item to resolve: its cached singleton, or else its registered factory (following any aliases).
+ * This is shared by the sync and async resolvers.
+ *
+ * @param {ResolveContext} context
  * @param {string} itemName
  * @param {{}} resolveArgs
  * @param {Array<{}>} [resolveHistory] - The trace of every ancestor that was resolved before.
- * @param {{isOptional: boolean}} [options]
- * @returns {{resolvedFactory: DecoratedFactory, history: Array<{}>, state: InjectorState}}
+ * @param {boolean} [isOptional] - Whether or not to throw an error if the item is not registered.
+ * @returns {FoundFactory}
+ * @throws {NotRegisteredError} - If the item is not registered and not optional.
  */
-function resolveFactory(injectorState, itemName, resolveArgs, resolveHistory, options) {
+function findFactory(context, itemName, resolveArgs, resolveHistory, isOptional) {
   const safeResolveHistory = resolveHistory || [];
 
   // First check the singletons to see if it has already been resolved (as a singleton).
-  if (injectorState.singletons[itemName]) {
-    const resolvedFactory = resolveSingletonAsFactory(injectorState, itemName);
+  if (hasSingleton(context, itemName)) {
+    const resolvedFactory = resolveSingletonAsFactory(getSingleton(context, itemName));
+    const singletonHistory = addToHistory(safeResolveHistory, itemName, resolvedFactory);
+
+    traceCacheHit(context.session.origin, itemName, singletonHistory);
 
     return {
       resolvedFactory,
-      history: addToHistory(safeResolveHistory, itemName, resolvedFactory),
-      state: injectorState,
+      history: singletonHistory,
     };
   }
 
-  const {isOptional} = (options || {});
-
-  const registeredFactory = injectorState.registered[itemName];
+  const registeredFactory = getRegisteredFactory(context.scope, itemName);
 
   if (!registeredFactory) {
     // If the factory is optional and not found, then don't throw an error. Just return an factory for undefined.
@@ -64,125 +193,371 @@ function resolveFactory(injectorState, itemName, resolveArgs, resolveHistory, op
       return {
         resolvedFactory,
         history: addToHistory(safeResolveHistory, itemName, resolvedFactory),
-        state: injectorState,
       };
     }
 
-    throw buildErrorWithStack(
-      `FactoryDI Resolve Error: The item '${itemName}' has not been registered.`,
-      addToHistory(safeResolveHistory, itemName, {})
-    );
+    throw buildNotRegisteredError(context.scope, itemName, resolveArgs, safeResolveHistory);
   }
 
-  const safeResolveArgs = resolveArgs || {};
+  // Aliases resolve through the item they point to, so they share its singleton.
+  if (registeredFactory.$$aliasOf) {
+    const aliasHistory = addToHistory(safeResolveHistory, itemName, registeredFactory);
 
-  // The registered factory is the valid factory, so update the history.
-  const newResolveHistory = addToHistory(safeResolveHistory, itemName, registeredFactory);
+    assertNotCyclic(context, itemName, registeredFactory.$$aliasOf, aliasHistory);
 
-  const injectData = dependencyInjectFactory(
-    injectorState,
+    return findFactory(context, registeredFactory.$$aliasOf, resolveArgs, aliasHistory, isOptional);
+  }
+
+  // The registered factory is the valid factory, so update the history.
+  return {
     registeredFactory,
     itemName,
-    safeResolveArgs,
-    newResolveHistory
+    history: addToHistory(safeResolveHistory, itemName, registeredFactory),
+  };
+}
+
+/**
+ * Checks whether the resolved instance of the factory is cached, either as a singleton or once per scope.
+ *
+ * @param {DecoratedFactory} factory
+ * @returns {boolean}
+ */
+function isCachedFactory(factory) {
+  return Boolean(factory.$singleton || factory.$scoped);
+}
+
+/**
+ * Tracks the promise of the singleton that resolveAsync() has started making, so concurrent resolves can wait for it.
+ *
+ * @param {Object<name, Promise>} singletonPromises - The singleton promises of the scope that will cache the item.
+ * @param {string} itemName
+ * @param {Promise} singletonPromise
+ */
+function trackSingletonPromise(singletonPromises, itemName, singletonPromise) {
+  singletonPromises[itemName] = singletonPromise;
+  pendingSingletonPromises.add(singletonPromise);
+
+  const settle = () => {
+    pendingSingletonPromises.delete(singletonPromise);
+  };
+
+  // The rejection is handled by the resolves that wait for the singleton.
+  singletonPromise.then(settle, settle);
+}
+
+/**
+ * Makes sure resolveAsync() is not still making the singleton, since a sync resolve can not wait for it and would
+ * run the singleton factory a second time.
+ *
+ * @param {ResolveContext} context
+ * @param {string} itemName
+ * @param {DecoratedFactory} factory
+ * @param {Array<{}>} resolveHistory
+ * @throws {SingletonPendingError} - If the singleton is still being made.
+ */
+function assertSingletonNotPending(context, itemName, factory, resolveHistory) {
+  if (!isCachedFactory(factory)) {
+    return;
+  }
+
+  const {singletonPromises} = findSingletonOwner(context.scope, itemName, factory);
+
+  if (pendingSingletonPromises.has(singletonPromises[itemName])) {
+    throw new SingletonPendingError(
+      `FactoryDI Resolve Error: The singleton '${itemName}' is still being resolved by resolveAsync(). Use`
+      + ' resolveAsync() to wait for it.',
+      {itemName, history: resolveHistory}
+    );
+  }
+}
+
+/**
+ * Applies the decorators to the injected factory and traces it.
+ * Decorate before caching, so singletons are stored as the decorated instance. The trace times the decorators too.
+ *
+ * @param {ResolveContext} factoryContext - The context the item's dependencies were resolved in.
+ * @param {DecoratedFactory} injectedFactory
+ * @param {string} itemName
+ * @param {Array<{}>} resolveHistory
+ * @param {?number} resolveStartTime
+ * @returns {DecoratedFactory}
+ */
+function wrapInjectedFactory(factoryContext, injectedFactory, itemName, resolveHistory, resolveStartTime) {
+  return traceFactory(
+    decorateFactory(injectedFactory, getScopeDecorators(factoryContext.scope), itemName, resolveHistory),
+    factoryContext.session.origin,
+    itemName,
+    resolveHistory,
+    resolveStartTime
   );
+}
 
-  const injectedFactory = injectData.factory;
-  const newInjectorState = injectData.state;
+/**
+ * Adds the resolved instance to the singletons of the resolve, and returns it as a factory.
+ *
+ * @param {ResolveContext} context
+ * @param {string} itemName
+ * @param {*} singletonInstance
+ * @returns {DecoratedFactory}
+ */
+function cacheSingleton(context, itemName, singletonInstance) {
+  addSingleton(context, itemName, singletonInstance);
 
-  if (injectedFactory.$singleton) {
-    const singletonInstance = runFactory(injectedFactory, resolveArgs, itemName, newResolveHistory);
+  return resolveSingletonAsFactory(singletonInstance);
+}
 
-    const newSingletonInjectorState = {
-      ...newInjectorState,
-      singletons: {
-        ...newInjectorState.singletons,
-        [itemName]: singletonInstance,
-      },
-    };
+/**
+ * Gets the registered factory for the item, looking through the parent scopes if the scope did not register it.
+ * Tags are not registered, so they get a factory that injects every item with the tag.
+ * Collections get a factory that injects the contributions of the scope and all of its parents, or an empty list if
+ * nothing has been contributed.
+ *
+ * @param {InjectorState} injectorState
+ * @param {string} itemName
+ * @returns {?DecoratedFactory}
+ */
+function getRegisteredFactory(injectorState, itemName) {
+  if (itemName.slice(-MULTI_SUFFIX.length) === MULTI_SUFFIX) {
+    return getCollectionFactory(injectorState, itemName);
+  } else if (itemName.indexOf(TAG_PREFIX) !== 0) {
+    return getScopeFactory(injectorState, itemName);
+  }
 
-    return {
-      resolvedFactory: resolveSingletonAsFactory(newSingletonInjectorState, itemName),
-      history: newResolveHistory,
-      state: newSingletonInjectorState,
-    };
+  const tag = itemName.slice(TAG_PREFIX.length);
+  const allRegistered = getAllRegistered(injectorState);
+
+  const taggedNames = Object.keys(allRegistered).filter((registeredName) => {
+    const {$tags} = allRegistered[registeredName];
+    return Array.isArray($tags) && $tags.indexOf(tag) !== -1;
+  });
+
+  const tagFactory = function tagFactory(...taggedItems) {
+    return lodashZipObject(taggedNames, taggedItems);
+  };
+  tagFactory.$inject = taggedNames.map((name) => {
+    return {name};
+  });
+
+  return tagFactory;
+}
+
+/**
+ * Gets the factory for the collection, with the contributions of the scope and all of its parents.
+ * The contributions are found when the collection is resolved, so contributions a parent adds later are included.
+ *
+ * @param {InjectorState} injectorState
+ * @param {string} collectionItemName - The collection name, ending with '[]'.
+ * @returns {DecoratedFactory}
+ */
+function getCollectionFactory(injectorState, collectionItemName) {
+  const collections = getChainFactories(injectorState, collectionItemName);
+
+  const collectionFactory = buildCollectionFactory(collections.reduce((contributions, collection) => {
+    return [...contributions, ...(collection.$$contributions || [])];
+  }, []));
+
+  // Keep where the collection was registered, to show in the resolve history.
+  if (collections.length) {
+    collectionFactory.$$registerSourceFile = collections[0].$$registerSourceFile;
   }
 
-  return {
-    resolvedFactory: injectedFactory,
-    history: newResolveHistory,
-    state: injectorState,
+  return collectionFactory;
+}
+
+/**
+ * Builds the factory that injects every contribution to a collection, sorted by their order and then by when they
+ * were registered.
+ *
+ * @param {Array<{name: string, order: number, index: number}>} contributions
+ * @returns {DecoratedFactory}
+ */
+function buildCollectionFactory(contributions) {
+  const sortedContributions = lodashSortBy(contributions, ['order', 'index']);
+
+  const collectionFactory = function collectionFactory(...resolvedContributions) {
+    return resolvedContributions;
   };
+  collectionFactory.$inject = sortedContributions.map(({name}) => {
+    return {name};
+  });
+  collectionFactory.$$contributions = sortedContributions;
+
+  return collectionFactory;
 }
 
 /**
- * Injects the factory's dependencies into it and returns a curried factory.
+ * Builds the error for an item that has not been registered, with suggestions for the names that could have been
+ * meant.
  *
  * @param {InjectorState} injectorState
+ * @param {string} itemName
+ * @param {?Object<name, *>} resolveArgs
+ * @param {Array<{}>} resolveHistory - The trace of every ancestor that was resolved before.
+ * @returns {NotRegisteredError}
+ */
+function buildNotRegisteredError(injectorState, itemName, resolveArgs, resolveHistory) {
+  const hints = getMissingItemHints(itemName, getAllRegistered(injectorState), resolveArgs);
+
+  return new NotRegisteredError(
+    `FactoryDI Resolve Error: The item '${itemName}' has not been registered.${formatHints(hints)}`,
+    {itemName, history: addToHistory(resolveHistory, itemName, {}), suggestions: hints.suggestions}
+  );
+}
+
+/**
+ * Injects the factory's dependencies into it and returns a curried factory.
+ *
+ * @param {ResolveContext} context
  * @param {DecoratedFactory} factory
  * @param {string} itemName
  * @param {{}} resolveArgs
  * @param {Array<{}>} resolveHistory
- * @returns {{factory: DecoratedFactory, state: InjectorState}}
+ * @param {ResolveLazy} resolveLazy
+ * @returns {DecoratedFactory}
  */
-function dependencyInjectFactory(injectorState, factory, itemName, resolveArgs, resolveHistory) {
+function dependencyInjectFactory(context, factory, itemName, resolveArgs, resolveHistory, resolveLazy) {
   // The injection items will be defined as an array of names in the $inject variable on the factory function.
   const {$inject} = factory;
 
   // If inject is empty, we don't need to do anything here.
   if (!$inject || !$inject.length) {
-    return {
-      factory,
-      state: injectorState,
-    };
+    return factory;
   }
 
-  let updatedState = injectorState;
-
   const dependencies = $inject.map((injectItem) => {
-    // Check to see if this item is a placeholder, which means it is provided at resolve time instead of registered.
-    if (injectItem.isPlaceholder) {
-      // Since we are using lodash.partial to curry, use its placeholder token.
-      return lodashPartial.placeholder;
+    if (isDeferredInjection(injectItem)) {
+      return buildDeferredDependency(context, injectItem, resolveArgs, resolveHistory, resolveLazy);
     }
 
-    const injectionName = injectItem.name;
+    assertNotCyclic(context, itemName, injectItem.name, resolveHistory);
 
-    // Detect if we are entering into a dependency injection loop and bail out unless it is a singleton.
-    const isCyclic = (itemName === injectionName) || lodashSome(resolveHistory, (ancestor) => {
-      return ancestor.name === injectionName;
-    });
-    if (isCyclic && !injectorState.singletons[injectionName]) {
-      throw buildErrorWithStack(
-        `FactoryDI Resolve Error: Cyclic dependency '${injectionName}' found while resolving dependency path.`,
-        addToHistory(resolveHistory, injectionName, {})
-      );
-    }
-
-    const safeInjectName = String(injectItem.name);
-    const isOptional = Boolean(injectItem.isOptional);
-    const asFactory = Boolean(injectItem.asFactory);
-
-    const {resolvedFactory, state} = resolveFactory(
-      updatedState,
-      safeInjectName,
+    const {resolvedFactory, history} = resolveFactory(
+      context,
+      String(injectItem.name),
       resolveArgs,
       resolveHistory,
-      {isOptional}
+      {isOptional: Boolean(injectItem.isOptional), resolveLazy}
     );
 
-    updatedState = state;
-
-    if (asFactory) {
+    if (injectItem.asFactory) {
       return resolvedFactory;
     }
 
-    return runFactory(resolvedFactory, resolveArgs, safeInjectName, resolveHistory);
+    const dependency = runFactory(resolvedFactory, resolveArgs, getLastItemName(history), history);
+
+    checkInjectedContract(context, factory, itemName, injectItem, dependency, history);
+
+    return dependency;
   });
 
-  return {
-    factory: curryFactory(factory, dependencies),
-    state: updatedState
+  return curryFactory(factory, dependencies);
+}
+
+/**
+ * Checks whether the injection item is not resolved along with the factory: placeholders are provided at resolve
+ * time, and lazy dependencies are resolved when they are first used.
+ *
+ * @param {InjectionRequest} injectItem
+ * @returns {boolean}
+ */
+function isDeferredInjection(injectItem) {
+  return Boolean(injectItem.isPlaceholder || injectItem.isLazy);
+}
+
+/**
+ * Builds the dependency for a placeholder or lazy injection item.
+ *
+ * @param {ResolveContext} context
+ * @param {InjectionRequest} injectItem
+ * @param {{}} resolveArgs
+ * @param {Array<{}>} resolveHistory
+ * @param {ResolveLazy} resolveLazy
+ * @returns {*}
+ */
+function buildDeferredDependency(context, injectItem, resolveArgs, resolveHistory, resolveLazy) {
+  // Since we are using lodash.partial to curry, use its placeholder token.
+  if (injectItem.isPlaceholder) {
+    return lodashPartial.placeholder;
+  }
+
+  return buildLazyDependency(context.scope, injectItem, resolveArgs, resolveHistory, resolveLazy);
+}
+
+/**
+ * Checks the injected dependency against the contracts of the item it came from and the factory it is injected into,
+ * unless the injector skips contract checks.
+ *
+ * @param {ResolveContext} context
+ * @param {DecoratedFactory} factory - The factory the dependency is injected into.
+ * @param {string} itemName
+ * @param {InjectionRequest} injectItem
+ * @param {*} dependency
+ * @param {Array<{}>} history - The resolve history of the dependency.
+ * @throws {ContractMismatchError} - If the dependency does not match either contract.
+ */
+function checkInjectedContract(context, factory, itemName, injectItem, dependency, history) {
+  if (!context.session.origin.meta.skipContractChecks) {
+    assertInjectedContract(context.scope, factory, itemName, injectItem, dependency, history);
+  }
+}
+
+/**
+ * Detects if we are entering into a dependency injection loop and bails out unless the item is a singleton.
+ *
+ * @param {ResolveContext} context
+ * @param {string} itemName - The name of the item that is requesting the injection.
+ * @param {string} injectionName - The name of the item being injected.
+ * @param {Array<{}>} resolveHistory
+ * @throws {Error} - If the injection is cyclic.
+ */
+function assertNotCyclic(context, itemName, injectionName, resolveHistory) {
+  // Lazy dependencies start a new dependency path when they are used, so only their own path can be cyclic.
+  const ancestors = resolveHistory.slice(lodashFindLastIndex(resolveHistory, 'lazyBoundary') + 1);
+
+  const isCyclic = (itemName === injectionName) || lodashSome(ancestors, (ancestor) => {
+    return ancestor.name === injectionName;
+  });
+
+  if (isCyclic && !hasSingleton(context, injectionName)) {
+    throw new CyclicDependencyError(
+      `FactoryDI Resolve Error: Cyclic dependency '${injectionName}' found while resolving dependency path.`,
+      {itemName: injectionName, history: addToHistory(resolveHistory, injectionName, {})}
+    );
+  }
+}
+
+/**
+ * Builds a function that resolves the injection item the first time it is called and returns the same value after.
+ *
+ * @param {InjectorState} injectorState - The state of the scope the item is resolved in.
+ * @param {InjectionRequest} injectItem
+ * @param {{}} resolveArgs
+ * @param {Array<{}>} resolveHistory
+ * @param {ResolveLazy} resolveLazy
+ * @returns {function(): *}
+ */
+function buildLazyDependency(injectorState, injectItem, resolveArgs, resolveHistory, resolveLazy) {
+  const lazyOptions = {
+    isOptional: Boolean(injectItem.isOptional),
+    asFactory: Boolean(injectItem.asFactory),
+  };
+
+  let isResolved = false;
+  let resolvedValue;
+
+  return function lazyDependency() {
+    if (!isResolved) {
+      resolvedValue = resolveLazy(
+        injectorState,
+        String(injectItem.name),
+        resolveArgs,
+        addLazyBoundary(resolveHistory),
+        lazyOptions
+      );
+      isResolved = true;
+    }
+
+    return resolvedValue;
   };
 }
 
@@ -195,18 +570,15 @@ function dependencyInjectFactory(injectorState, factory, itemName, resolveArgs,
  * @returns {DecoratedFactory}
  */
 function curryFactory(factory, curryArgs) {
-  const curriedFactory = lodashPartial.apply(this, [factory, ...curryArgs]);
+  // Classes must be instantiated using `new`, which the curried function can not do, so wrap them in a factory first.
+  const callableFactory = (factory.$asClass) ? buildClassFactory(factory) : factory;
+
+  // Make sure the decorators carry through.
+  const curriedFactory = copyFactoryDecorators(factory, lodashPartial.apply(this, [callableFactory, ...curryArgs]));
 
   // Store the placeholderArgs in the factory. These will be referenced in runInstance().
   curriedFactory.$$placeholderArgs = getPlaceholderArguments(factory);
 
-  // Make sure the decorators carry through.
-  ['$filename', '$$registerSourceFile', '$singleton'].forEach((decoratorName) => {
-    if (factory[decoratorName]) {
-      curriedFactory[decoratorName] = factory[decoratorName];
-    }
-  });
-
   return curriedFactory;
 }
 
@@ -232,13 +604,10 @@ function getPlaceholderArguments(factory) {
 /**
  * Resolves the singleton as a factory.
  *
- * @param {InjectorState} injectorState
- * @param {string} itemName
+ * @param {*} resolvedSingleton - The resolved singleton instance.
  * @returns {function}
  */
-function resolveSingletonAsFactory(injectorState, itemName) {
-  const resolvedSingleton = injectorState.singletons[itemName];
-
+function resolveSingletonAsFactory(resolvedSingleton) {
   // Wrap the singleton object in a factory wrapper.
   const singletonFactory = function singletonFactory() {
     return resolvedSingleton;
@@ -272,6 +641,30 @@ function getFactoryForUndefined() {
   return undefinedFactory;
 }
 
+/**
+ * Builds a factory that instantiates the class with the arguments it is given.
+ *
+ * @param {DecoratedFactory} classFactory
+ * @returns {function(...*): Object}
+ */
+function buildClassFactory(classFactory) {
+  return function instantiateClass(...classArgs) {
+    return Reflect.construct(classFactory, classArgs);
+  };
+}
+
 module.exports = {
   resolveFactory,
+  assertNotCyclic,
+  buildCollectionFactory,
+  buildDeferredDependency,
+  cacheSingleton,
+  checkInjectedContract,
+  findFactory,
+  getRegisteredFactory,
+  curryFactory,
+  isCachedFactory,
+  isDeferredInjection,
+  trackSingletonPromise,
+  wrapInjectedFactory,
 };
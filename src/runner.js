@@ -1,4 +1,5 @@
-const {buildErrorWithStack} = require('./helpers/errorHelper');
+const {FactoryDiError, FactoryThrewError, MissingResolveArgError} = require('./errors');
+const {formatHints, getMissingResolveArgHints} = require('./helpers/suggestionHelper');
 
 /**
  * Runs the given factory using the resolve arguments.
@@ -13,7 +14,7 @@ function runFactory(factory, resolveArgs, itemName, resolveHistory) {
   const placeholderArgs = factory.$$placeholderArgs;
   if (!placeholderArgs) {
     // The factory does not accept any placeholder arguments, so just invoke it and return.
-    return factory.apply(this);
+    return invokeFactoryWithHistory(factory, [], itemName, resolveHistory);
   }
 
   const safeResolveArgs = resolveArgs || {};
@@ -34,16 +35,97 @@ function runFactory(factory, resolveArgs, itemName, resolveHistory) {
       return undefined;
     }
 
-    throw buildErrorWithStack(
+    const hints = getMissingResolveArgHints(name, itemName, resolveArgs);
+
+    throw new MissingResolveArgError(
       `FactoryDI Run Error: Could not resolve instance of '${itemName}' because`
-      + ` it requires a value for the non-injected '${name}' argument.`,
-      resolveHistory
+      + ` it requires a value for the non-injected '${name}' argument.${formatHints(hints)}`,
+      {itemName, history: resolveHistory, suggestions: hints.suggestions},
+      name
     );
   });
 
-  return factory.apply(this, resolveArgValues);
+  return invokeFactoryWithHistory(factory, resolveArgValues, itemName, resolveHistory);
+}
+
+/**
+ * Invokes the factory, wrapping anything it throws in a FactoryThrewError with the resolve history.
+ *
+ * @param {DecoratedFactory} factory
+ * @param {Array<*>} factoryArgs
+ * @param {string} itemName
+ * @param {Array<{}>} resolveHistory
+ * @returns {*}
+ * @throws {FactoryDiError} - If the factory throws.
+ */
+function invokeFactoryWithHistory(factory, factoryArgs, itemName, resolveHistory) {
+  try {
+    return invokeFactory(factory, factoryArgs);
+  } catch (factoryError) {
+    throw buildFactoryThrewError(factoryError, itemName, resolveHistory);
+  }
+}
+
+/**
+ * Builds the error for a factory that threw or rejected.
+ * Injector errors (such as from resolving a lazy dependency inside the factory) already have their resolve path, so
+ * they are returned as they are.
+ *
+ * @param {*} factoryError
+ * @param {string} itemName
+ * @param {Array<{}>} resolveHistory
+ * @returns {FactoryDiError}
+ */
+function buildFactoryThrewError(factoryError, itemName, resolveHistory) {
+  if (factoryError instanceof FactoryDiError) {
+    return factoryError;
+  }
+
+  const causeMessage = (factoryError && factoryError.message) || String(factoryError);
+
+  return new FactoryThrewError(
+    `FactoryDI Run Error: The factory for '${itemName}' threw an error: ${causeMessage}`,
+    {itemName, history: resolveHistory, cause: factoryError}
+  );
+}
+
+/**
+ * Invokes the factory with the given arguments, using `new` if the factory is a class.
+ *
+ * @param {DecoratedFactory} factory
+ * @param {Array<*>} factoryArgs
+ * @returns {*}
+ */
+function invokeFactory(factory, factoryArgs) {
+  if (factory.$asClass) {
+    return Reflect.construct(factory, factoryArgs);
+  }
+
+  return factory.apply(this, factoryArgs);
+}
+
+/**
+ * Runs the given factory using the resolve arguments and waits for the result to settle.
+ *
+ * @param {DecoratedFactory} factory
+ * @param {?Object<name, *>} resolveArgs - The arguments for all dependencies that do not exist in the injector.
+ * @param {string} itemName - The name of the factory item.
+ * @param {Array<{}>} resolveHistory - The trace of every ancestor that was resolved before.
+ * @returns {Promise<*>}
+ */
+async function runFactoryAsync(factory, resolveArgs, itemName, resolveHistory) {
+  const result = runFactory(factory, resolveArgs, itemName, resolveHistory);
+
+  try {
+    return await result;
+  } catch (factoryError) {
+    // Keep the resolve path for factories that reject, since the code stack will only show the promise internals.
+    throw buildFactoryThrewError(factoryError, itemName, resolveHistory);
+  }
 }
 
 module.exports = {
+  invokeFactory,
   runFactory,
+  runFactoryAsync,
 };
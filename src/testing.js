@@ -0,0 +1,177 @@
+const factoryDiFactory = require('./index');
+const {TAG_PREFIX, parseFactoryInject} = require('./injector');
+
+/**
+ * The properties of the stub function that keep their real values, since code that gets a function commonly reads them.
+ * @const {string[]}
+ */
+const FUNCTION_PROPERTIES = ['name', 'length', 'prototype'];
+
+/**
+ * The name the factory under test is registered as, if it does not have a name of its own.
+ * @const {string}
+ */
+const DEFAULT_SUBJECT_NAME = 'subject';
+
+/**
+ * A function that records every call made to it and to any of its properties.
+ * Reading any property (other than the ones below, `then`, and the function's `name`, `length` and `prototype`) gets
+ * a child stub, so stubs can stand in for objects and functions alike. The `name` of a stub is its $name.
+ *
+ * @typedef {function} RecordingStub
+ * @property {string} $name - The name of the stub, including the path of properties used to get it.
+ * @property {Array<Array<*>>} $calls - The arguments of each call made to the stub.
+ * @property {function(*): RecordingStub} $returns - Sets the value the stub returns when it is called.
+ */
+
+/**
+ * The options for the test injector.
+ *
+ * @typedef {Object} TestInjectorOptions
+ * @property {Object<name, *>} [fakes] - The items to inject instead of stubs, by injection name. The fakes for
+ *           a '#tag' injection are a map of item names to items.
+ * @property {string} [itemName] - The name to register the factory under test as.
+ */
+
+/**
+ * Creates an injector for unit testing the given factory, where every dependency it injects is a recording stub.
+ * Collections are stubbed as empty lists and tags as empty maps.
+ *
+ * @param {DecoratedFactory} factory - The factory under test.
+ * @param {TestInjectorOptions} [options]
+ * @returns {{
+ *   resolve: function(Object<name, *>=): *,
+ *   resolveAsync: function(Object<name, *>=): Promise<*>,
+ *   stubs: Object<name, RecordingStub>,
+ *   factoryDi: {}
+ * }}
+ * @throws {Error} - If the factory is not a function.
+ */
+function createTestInjector(factory, options) {
+  if (typeof factory !== 'function') {
+    throw new Error('FactoryDI Testing Error: The factory under test must be a function.');
+  }
+
+  const {fakes, itemName} = options || {};
+  const safeFakes = fakes || {};
+  const subjectName = itemName || factory.name || DEFAULT_SUBJECT_NAME;
+
+  const factoryDi = factoryDiFactory();
+  factoryDi.setSkipTraceErrors(true);
+
+  const stubs = {};
+
+  parseFactoryInject(factory, subjectName, []).forEach((injectItem) => {
+    const {name} = injectItem;
+
+    if (injectItem.isPlaceholder || stubs[name]) {
+      return;
+    } else if (injectItem.isTag) {
+      registerTagItems(factoryDi, name.slice(TAG_PREFIX.length), safeFakes[name] || {});
+      return;
+    } else if (Object.prototype.hasOwnProperty.call(safeFakes, name)) {
+      factoryDi.register(name, buildValueFactory(safeFakes[name]));
+      return;
+    } else if (injectItem.isMulti) {
+      factoryDi.register(name, buildValueFactory([]));
+      return;
+    }
+
+    stubs[name] = createStub(name);
+    factoryDi.register(name, buildValueFactory(stubs[name]));
+  });
+
+  factoryDi.register(subjectName, factory);
+
+  return {
+    resolve(placeholderArgs) {
+      return factoryDi.resolve(subjectName, {[subjectName]: placeholderArgs || {}});
+    },
+    resolveAsync(placeholderArgs) {
+      return factoryDi.resolveAsync(subjectName, {[subjectName]: placeholderArgs || {}});
+    },
+    stubs,
+    factoryDi,
+  };
+}
+
+/**
+ * Registers each of the fake items with the tag.
+ *
+ * @param {{}} factoryDi
+ * @param {string} tag
+ * @param {Object<name, *>} taggedFakes - The fake items by item name.
+ */
+function registerTagItems(factoryDi, tag, taggedFakes) {
+  Object.keys(taggedFakes).forEach((fakeName) => {
+    factoryDi.register(fakeName, buildValueFactory(taggedFakes[fakeName]), {tags: [tag]});
+  });
+}
+
+/**
+ * Builds a singleton factory that returns the value as it is.
+ * Fakes and stubs are often functions, which would otherwise be registered as factories.
+ *
+ * @param {*} value
+ * @returns {DecoratedFactory}
+ */
+function buildValueFactory(value) {
+  const valueFactory = function valueFactory() {
+    return value;
+  };
+  valueFactory.$singleton = true;
+
+  return valueFactory;
+}
+
+/**
+ * Creates a recording stub.
+ *
+ * @param {string} stubName
+ * @returns {RecordingStub}
+ */
+function createStub(stubName) {
+  const calls = [];
+  const childStubs = {};
+
+  let returnValue;
+
+  const stubTarget = function stubTarget() {
+    return undefined;
+  };
+  Object.defineProperty(stubTarget, 'name', {value: stubName});
+
+  return new Proxy(stubTarget, {
+    get(target, property, receiver) {
+      if (typeof property === 'symbol' || FUNCTION_PROPERTIES.includes(property)) {
+        return Reflect.get(target, property);
+      } else if (property === '$name') {
+        return stubName;
+      } else if (property === '$calls') {
+        return calls;
+      } else if (property === '$returns') {
+        return (value) => {
+          returnValue = value;
+          return receiver;
+        };
+      } else if (property === 'then') {
+        // Stubs must not look like a Promise, or awaiting them would never settle.
+        return undefined;
+      }
+
+      if (!childStubs[property]) {
+        childStubs[property] = createStub(`${stubName}.${property}`);
+      }
+
+      return childStubs[property];
+    },
+    apply(target, thisArg, callArgs) {
+      calls.push(callArgs);
+      return returnValue;
+    },
+  });
+}
+
+module.exports = {
+  createTestInjector,
+};
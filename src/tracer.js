@@ -0,0 +1,244 @@
+const {performance} = require('perf_hooks');
+
+const {invokeFactory} = require('./runner');
+const {copyFactoryDecorators} = require('./helpers/factoryHelper');
+
+/**
+ * The names of the events the injector emits.
+ * @const {string[]}
+ */
+const EVENT_NAMES = ['beforeResolve', 'afterResolve', 'register', 'error'];
+
+/**
+ * The data sent to the event handlers.
+ * Times are in milliseconds, from performance.now().
+ *
+ * @typedef {Object} ResolveEvent
+ * @property {string} itemName
+ * @property {number} [depth] - How many items were resolved before this one in the resolve path (0 for the first).
+ * @property {string[]} [history] - The names of every item in the resolve path, ending with this item.
+ * @property {boolean} [cacheHit] - Whether or not the item was an already resolved singleton (afterResolve only).
+ * @property {number} [startTime] - When the item started resolving (afterResolve and error only).
+ * @property {number} [duration] - The time from starting to resolve the item until its instance was made, including
+ *           its dependencies (afterResolve only).
+ * @property {number} [factoryDuration] - The time the factory took to run (afterResolve only).
+ * @property {Error} [error] - The error that was thrown (error only).
+ * @property {DecoratedFactory} [factory] - The registered factory (register only).
+ */
+
+/**
+ * The errors that have already been emitted, so errors that are thrown through several resolves are emitted once.
+ *
+ * @type {WeakSet<Error>}
+ */
+const emittedErrors = new WeakSet();
+
+/**
+ * Checks that the event can be listened to.
+ *
+ * @param {string} eventName
+ * @param {function(ResolveEvent)} handler
+ * @throws {Error} - If the event is unknown or the handler is not a function.
+ */
+function assertValidListener(eventName, handler) {
+  if (EVENT_NAMES.indexOf(eventName) === -1) {
+    throw new Error(
+      `FactoryDI Event Error: Unknown event '${eventName}'. Use one of ${EVENT_NAMES.join(', ')}.`
+    );
+  } else if (typeof handler !== 'function') {
+    throw new Error('FactoryDI Event Error: The given handler is not a function.');
+  }
+}
+
+/**
+ * Checks if anything is listening to the injector or any of its parent scopes.
+ *
+ * @param {InjectorState} injectorState
+ * @returns {boolean}
+ */
+function hasListeners(injectorState) {
+  for (let state = injectorState; state; state = state.parent) {
+    const hasHandlers = Object.keys(state.listeners).some((eventName) => {
+      return state.listeners[eventName].length > 0;
+    });
+
+    if (hasHandlers) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Sends the event to the handlers of the injector, then to the handlers of its parent scopes.
+ *
+ * @param {InjectorState} injectorState
+ * @param {string} eventName
+ * @param {ResolveEvent} resolveEvent
+ */
+function emitEvent(injectorState, eventName, resolveEvent) {
+  for (let state = injectorState; state; state = state.parent) {
+    (state.listeners[eventName] || []).forEach((handler) => {
+      handler(resolveEvent);
+    });
+  }
+}
+
+/**
+ * Emits the error, unless it has already been emitted by a resolve further down the resolve path.
+ *
+ * @param {InjectorState} injectorState
+ * @param {ResolveEvent} resolveEvent
+ */
+function emitError(injectorState, resolveEvent) {
+  const {error} = resolveEvent;
+  const isObject = Boolean(error) && (typeof error === 'object' || typeof error === 'function');
+
+  if (isObject) {
+    // Errors thrown by factories are wrapped once they leave the factory, so check the original error as well.
+    if (emittedErrors.has(error) || emittedErrors.has(error.cause)) {
+      return;
+    }
+    emittedErrors.add(error);
+  }
+
+  emitEvent(injectorState, 'error', resolveEvent);
+}
+
+/**
+ * Builds the event data for the item at the end of the resolve history.
+ *
+ * @param {string} itemName
+ * @param {Array<{}>} resolveHistory - The resolve history, ending with the item.
+ * @returns {ResolveEvent}
+ */
+function buildResolveEvent(itemName, resolveHistory) {
+  return {
+    itemName,
+    depth: resolveHistory.length - 1,
+    history: resolveHistory.map(({name}) => {
+      return name;
+    }),
+  };
+}
+
+/**
+ * Emits the events for an item that was already resolved as a singleton.
+ *
+ * @param {InjectorState} injectorState
+ * @param {string} itemName
+ * @param {Array<{}>} resolveHistory - The resolve history, ending with the item.
+ * @param {number} [resolveStartTime] - When the item started resolving, if it had to wait for the singleton to
+ *                                      settle. The beforeResolve event has already been emitted if this is given.
+ */
+function traceCacheHit(injectorState, itemName, resolveHistory, resolveStartTime) {
+  if (!hasListeners(injectorState)) {
+    return;
+  }
+
+  const resolveEvent = buildResolveEvent(itemName, resolveHistory);
+
+  let startTime = resolveStartTime;
+  if (startTime === undefined) {
+    startTime = performance.now();
+    emitEvent(injectorState, 'beforeResolve', resolveEvent);
+  }
+
+  emitEvent(injectorState, 'afterResolve', {
+    ...resolveEvent,
+    cacheHit: true,
+    startTime,
+    duration: performance.now() - startTime,
+    factoryDuration: 0,
+  });
+}
+
+/**
+ * Emits the event for an item that is starting to resolve, before its dependencies are resolved.
+ *
+ * @param {InjectorState} injectorState
+ * @param {string} itemName
+ * @param {Array<{}>} resolveHistory - The resolve history, ending with the item.
+ * @returns {number} - When the item started resolving.
+ */
+function traceResolveStart(injectorState, itemName, resolveHistory) {
+  const startTime = performance.now();
+
+  if (hasListeners(injectorState)) {
+    emitEvent(injectorState, 'beforeResolve', buildResolveEvent(itemName, resolveHistory));
+  }
+
+  return startTime;
+}
+
+/**
+ * Wraps the injected factory so the afterResolve event (or the error event) is emitted each time it runs.
+ * Factories that return a promise are timed until it settles.
+ *
+ * @param {DecoratedFactory} factory
+ * @param {InjectorState} injectorState
+ * @param {string} itemName
+ * @param {Array<{}>} resolveHistory - The resolve history, ending with the item.
+ * @param {number} resolveStartTime - When the item started resolving.
+ * @returns {DecoratedFactory} - The given factory if nothing is listening.
+ */
+function traceFactory(factory, injectorState, itemName, resolveHistory, resolveStartTime) {
+  if (!hasListeners(injectorState)) {
+    return factory;
+  }
+
+  const resolveEvent = buildResolveEvent(itemName, resolveHistory);
+
+  let isFirstRun = true;
+
+  const tracedFactory = function tracedFactory(...factoryArgs) {
+    const runStartTime = performance.now();
+
+    // Factories run again (such as ones injected as factories) only time the run itself.
+    const startTime = (isFirstRun) ? resolveStartTime : runStartTime;
+    isFirstRun = false;
+
+    const handleResult = (instance) => {
+      const endTime = performance.now();
+      emitEvent(injectorState, 'afterResolve', {
+        ...resolveEvent,
+        cacheHit: false,
+        startTime,
+        duration: endTime - startTime,
+        factoryDuration: endTime - runStartTime,
+      });
+      return instance;
+    };
+
+    const handleError = (factoryError) => {
+      emitError(injectorState, {...resolveEvent, startTime, error: factoryError});
+      throw factoryError;
+    };
+
+    let instance;
+    try {
+      instance = invokeFactory(factory, factoryArgs);
+    } catch (factoryError) {
+      return handleError(factoryError);
+    }
+
+    if (instance && typeof instance.then === 'function') {
+      return instance.then(handleResult, handleError);
+    }
+
+    return handleResult(instance);
+  };
+
+  // Make sure the decorators carry through.
+  return copyFactoryDecorators(factory, tracedFactory);
+}
+
+module.exports = {
+  assertValidListener,
+  emitError,
+  emitEvent,
+  traceCacheHit,
+  traceFactory,
+  traceResolveStart,
+};
@@ -0,0 +1,223 @@
+const {ValidationError} = require('./errors');
+
+/**
+ * A dependency that is not registered.
+ *
+ * @typedef {Object} MissingDependency
+ * @property {string} itemName - The name of the item that injects the dependency.
+ * @property {string} dependencyName
+ */
+
+/**
+ * A required placeholder argument that is captured by a singleton, so only the first resolve can supply it.
+ *
+ * @typedef {Object} CapturedPlaceholder
+ * @property {string} itemName - The name of the item that requires the placeholder argument.
+ * @property {string} placeholderName
+ * @property {string} singletonName - The name of the singleton (or scoped) item that injects the item.
+ */
+
+/**
+ * The report of every problem found in the dependency graph.
+ * Captured placeholders are only warnings, since the first resolve of the singleton can still supply them.
+ *
+ * @typedef {Object} ValidationReport
+ * @property {boolean} isValid - Whether or not no problems (other than warnings) were found.
+ * @property {MissingDependency[]} missing
+ * @property {Array<string[]>} cycles - The dependency path of each cycle, starting and ending with the same item.
+ * @property {CapturedPlaceholder[]} placeholders
+ * @property {string[]} messages - A description of each problem.
+ * @property {string[]} warnings - A description of each captured placeholder.
+ */
+
+/**
+ * Checks every item in the dependency graph for missing dependencies and cyclic dependencies, and warns about required
+ * placeholder arguments that only the first resolve of a singleton can supply.
+ *
+ * @param {DependencyGraph} graph
+ * @returns {ValidationReport}
+ */
+function validateGraph(graph) {
+  const dependencies = groupEdgesByItem(graph);
+  const nodesByName = {};
+  graph.nodes.forEach((node) => {
+    nodesByName[node.name] = node;
+  });
+
+  const missing = findMissingDependencies(graph, nodesByName);
+  const cycles = findCycles(graph, dependencies);
+  const placeholders = findCapturedPlaceholders(graph, dependencies, nodesByName);
+
+  const messages = [
+    ...missing.map(({itemName, dependencyName}) => {
+      return `The item '${dependencyName}' injected into '${itemName}' has not been registered.`;
+    }),
+    ...cycles.map((cycle) => {
+      return `Cyclic dependency found: ${cycle.join(' -> ')}.`;
+    }),
+  ];
+
+  const warnings = placeholders.map(({itemName, placeholderName, singletonName}) => {
+    return `The placeholder argument '${placeholderName}' of '${itemName}' is required, but '${itemName}' is`
+      + ` injected into '${singletonName}' which is only resolved once, so only the first resolve can supply it.`;
+  });
+
+  return {
+    isValid: !messages.length,
+    missing,
+    cycles,
+    placeholders,
+    messages,
+    warnings,
+  };
+}
+
+/**
+ * Groups the edges of the graph by the item that injects them.
+ *
+ * @param {DependencyGraph} graph
+ * @returns {Object<name, GraphEdge[]>}
+ */
+function groupEdgesByItem(graph) {
+  const dependencies = {};
+  graph.nodes.forEach((node) => {
+    dependencies[node.name] = [];
+  });
+  graph.edges.forEach((edge) => {
+    dependencies[edge.from].push(edge);
+  });
+
+  return dependencies;
+}
+
+/**
+ * Finds every non-optional dependency that is not registered.
+ *
+ * @param {DependencyGraph} graph
+ * @param {Object<name, GraphNode>} nodesByName
+ * @returns {MissingDependency[]}
+ */
+function findMissingDependencies(graph, nodesByName) {
+  return graph.edges.filter((edge) => {
+    return !edge.isOptional && !nodesByName[edge.to].isRegistered;
+  }).map((edge) => {
+    return {itemName: edge.from, dependencyName: edge.to};
+  });
+}
+
+/**
+ * Finds every cyclic dependency path in the graph.
+ * Lazy dependencies are only resolved when they are used, so they can not create a cycle.
+ *
+ * @param {DependencyGraph} graph
+ * @param {Object<name, GraphEdge[]>} dependencies
+ * @returns {Array<string[]>}
+ */
+function findCycles(graph, dependencies) {
+  const cycles = [];
+  const cycleKeys = new Set();
+  const checkedNames = new Set();
+
+  const visit = (itemName, path) => {
+    const pathIndex = path.indexOf(itemName);
+    if (pathIndex !== -1) {
+      const cycle = [...path.slice(pathIndex), itemName];
+      const cycleKey = getCycleKey(cycle);
+
+      // The same cycle is found from each of its items, so only report it once.
+      if (!cycleKeys.has(cycleKey)) {
+        cycleKeys.add(cycleKey);
+        cycles.push(cycle);
+      }
+      return;
+    } else if (checkedNames.has(itemName)) {
+      return;
+    }
+
+    dependencies[itemName].forEach((edge) => {
+      if (!edge.isLazy) {
+        visit(edge.to, [...path, itemName]);
+      }
+    });
+
+    checkedNames.add(itemName);
+  };
+
+  graph.nodes.forEach((node) => {
+    visit(node.name, []);
+  });
+
+  return cycles;
+}
+
+/**
+ * Gets a key for the cycle that is the same no matter which of its items it starts from.
+ *
+ * @param {string[]} cycle
+ * @returns {string}
+ */
+function getCycleKey(cycle) {
+  const cycleNames = cycle.slice(0, -1);
+  const firstName = [...cycleNames].sort()[0];
+  const firstIndex = cycleNames.indexOf(firstName);
+
+  return JSON.stringify([...cycleNames.slice(firstIndex), ...cycleNames.slice(0, firstIndex)]);
+}
+
+/**
+ * Finds the required placeholder arguments of items that are injected into singletons.
+ * The singleton is only resolved once, so no caller after the first one can supply the argument.
+ * Items injected as factories get their placeholder arguments from the item they are injected into instead.
+ *
+ * @param {DependencyGraph} graph
+ * @param {Object<name, GraphEdge[]>} dependencies
+ * @param {Object<name, GraphNode>} nodesByName
+ * @returns {CapturedPlaceholder[]}
+ */
+function findCapturedPlaceholders(graph, dependencies, nodesByName) {
+  const captured = [];
+  const capturedKeys = new Set();
+
+  graph.nodes.filter((node) => {
+    return node.isSingleton || node.isScoped;
+  }).forEach((singletonNode) => {
+    const visitedNames = new Set([singletonNode.name]);
+    const pendingEdges = [...dependencies[singletonNode.name]];
+
+    while (pendingEdges.length) {
+      const edge = pendingEdges.shift();
+
+      if (!edge.asFactory && !visitedNames.has(edge.to)) {
+        visitedNames.add(edge.to);
+
+        nodesByName[edge.to].placeholders.forEach((placeholder) => {
+          const capturedKey = JSON.stringify([edge.to, placeholder.name]);
+
+          if (!placeholder.isOptional && !capturedKeys.has(capturedKey)) {
+            capturedKeys.add(capturedKey);
+            captured.push({itemName: edge.to, placeholderName: placeholder.name, singletonName: singletonNode.name});
+          }
+        });
+
+        pendingEdges.push(...dependencies[edge.to]);
+      }
+    }
+  });
+
+  return captured;
+}
+
+/**
+ * Builds the error for a validation report with problems.
+ *
+ * @param {ValidationReport} report
+ * @returns {ValidationError}
+ */
+function buildValidationError(report) {
+  return new ValidationError(`FactoryDI Validate Error: ${report.messages.join(' ')}`, {}, report);
+}
+
+module.exports = {
+  buildValidationError,
+  validateGraph,
+};